@@ -0,0 +1,89 @@
+const scrypt = require('..')
+
+const Benchmark = require('benchmark')
+
+/*
+ * Compares scryptROMix, which stores the V table in one contiguous Uint32Array, with
+ * the former implementation, which stored every V[i] in its own Uint32Array.
+ * Run it with `node --expose-gc benchmark/scryptROMix.js` for more accurate memory figures.
+ */
+
+// The former scryptROMix: V is an array of N separate Uint32Array objects
+const legacyScryptROMix = function (B, N, onLoop2End) {
+  const r = B.byteLength / 128
+  const V = new Array(N)
+  for (let i = 0; i < N; i++) {
+    V[i] = B.slice(0)
+    scrypt.scryptBlockMix(B)
+  }
+  if (onLoop2End !== undefined) onLoop2End()
+  for (let i = 0; i < N; i++) {
+    const j = new DataView(B.buffer, (2 * r - 1) * 64, 64).getUint32(0, true) % N
+    for (let k = 0; k < B.length; k++) {
+      B[k] ^= V[j][k]
+    }
+    scrypt.scryptBlockMix(B)
+  }
+}
+
+// The JS backend, since the default one ('auto') would pick WebAssembly, whose V does not live in the JS heap
+const contiguousScryptROMix = function (B, N, onLoop2End) {
+  const options = (onLoop2End !== undefined)
+    ? { backend: 'js', progressInterval: 0, onProgress: fraction => { if (fraction === 0.5) onLoop2End() } }
+    : { backend: 'js' }
+  scrypt.scryptROMix(B, N, options)
+}
+
+const implementations = [
+  { name: 'contiguous V', fn: contiguousScryptROMix },
+  { name: 'array of V[i]', fn: legacyScryptROMix }
+]
+
+const memoryUsage = function () {
+  const usage = process.memoryUsage()
+  return usage.heapUsed + (usage.arrayBuffers !== undefined ? usage.arrayBuffers : usage.external)
+}
+
+// Memory used by V (and the rest of the computation) at the end of the first loop, when V is full
+const measureMemory = function (fn, N, r) {
+  if (global.gc !== undefined) global.gc()
+  const B = new Uint32Array(32 * r).fill(1)
+  const before = memoryUsage()
+  let during = 0
+  fn(B, N, () => { during = memoryUsage() })
+  return during - before
+}
+
+const r = 8
+const params = [2 ** 10, 2 ** 14, 2 ** 17]
+
+console.log(`Memory used by scryptROMix with r=${r} at the end of its first loop (V has ${128 * r} bytes per entry)${global.gc === undefined ? '. Run with --expose-gc for more accurate figures' : ''}:`)
+for (const N of params) {
+  const results = implementations.map(({ name, fn }) => {
+    const bytes = measureMemory(fn, N, r)
+    return `${name}: ${(bytes / 2 ** 20).toFixed(1)} MiB`
+  })
+  console.log(`  N=${N} (V is ${(128 * r * N / 2 ** 20).toFixed(1)} MiB) — ${results.join(', ')}`)
+}
+
+const suite = new Benchmark.Suite('scryptROMix')
+for (const N of params) {
+  for (const { name, fn } of implementations) {
+    const B = new Uint32Array(32 * r).fill(1)
+    suite.add(`N=${N}, r=${r} — ${name}`, function () {
+      fn(B, N)
+    })
+  }
+}
+// add listeners
+suite.on('cycle', function (event) {
+  console.log(`${event.target.name} — mean time: ${(event.target.stats.mean * 1000).toFixed(1)}ms ±${(100 * event.target.stats.deviation / event.target.stats.mean).toFixed(2)}% (${event.target.stats.sample.length} runs sampled)`)
+})
+  .on('start', function () {
+    console.log('\nStarting benchmarks for scryptROMix... (keep calm)')
+  })
+  .on('complete', function () {
+    console.log('Benchmark completed')
+  })
+// run
+  .run()
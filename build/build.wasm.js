@@ -0,0 +1,44 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const rootDir = path.join(__dirname, '..')
+const watDir = path.join(rootDir, 'src', 'wat')
+const dst = path.join(rootDir, 'src', 'ts', 'scryptWasmBinary.ts')
+
+const modules = [
+  { name: 'scryptWasmBinary', file: 'scrypt.wat', features: {} },
+  { name: 'scryptWasmSimdBinary', file: 'scrypt-simd.wat', features: { simd: true } }
+]
+
+async function buildWasm () {
+  const wabt = await require('wabt')()
+
+  let code = '// Generated by build/build.wasm.js from the WebAssembly text sources in src/wat. Do not edit it by hand, run `npm run build:wasm` instead.\n'
+  for (const { name, file, features } of modules) {
+    const wat = fs.readFileSync(path.join(watDir, file), 'utf8')
+    const wasmModule = wabt.parseWat(file, wat, features)
+    wasmModule.validate()
+    const { buffer } = wasmModule.toBinary({})
+    wasmModule.destroy()
+    console.log(`${file}: ${buffer.byteLength} bytes`)
+
+    code += `
+/**
+ * Returns the base64-encoded WebAssembly binary compiled from src/wat/${file}
+ * @private
+ */
+const ${name} = function (): string {
+  return '${Buffer.from(buffer).toString('base64')}'
+}
+`
+  }
+  code += `\nexport { ${modules.map(({ name }) => name).join(', ')} }\n`
+  fs.writeFileSync(dst, code)
+}
+
+buildWasm().catch(error => {
+  console.error(error)
+  process.exit(1)
+})
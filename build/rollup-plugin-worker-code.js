@@ -0,0 +1,38 @@
+'use strict'
+
+const path = require('path')
+const rollup = require('rollup')
+
+const PREFIX = 'worker-code:'
+
+/**
+ * Resolves imports of 'worker-code:<path>' to a module whose default export is the code of <path> bundled on its own
+ * as an IIFE, so that it can be run by a Worker created from a string. Since the worker code is a string in the final
+ * bundle, it is not instrumented by coverage tools, and it does not depend on the names the bundler gives to things.
+ *
+ * @param {object} options
+ * @param {import('rollup').Plugin[]} options.plugins - the plugins used to bundle the worker code
+ * @returns {import('rollup').Plugin}
+ */
+module.exports = function workerCode ({ plugins = [] } = {}) {
+  return {
+    name: 'worker-code',
+    resolveId (source, importer) {
+      if (!source.startsWith(PREFIX)) return null
+      const input = path.resolve(path.dirname(importer), source.slice(PREFIX.length))
+      return '\0' + PREFIX + (path.extname(input) === '' ? input + '.ts' : input)
+    },
+    async load (id) {
+      if (!id.startsWith('\0' + PREFIX)) return null
+      const bundle = await rollup.rollup({
+        input: id.slice(PREFIX.length + 1),
+        plugins,
+        onwarn: (warning) => this.warn(warning)
+      })
+      for (const file of bundle.watchFiles) this.addWatchFile(file)
+      const { output } = await bundle.generate({ format: 'iife' })
+      await bundle.close()
+      return `export default ${JSON.stringify(output[0].code)}`
+    }
+  }
+}
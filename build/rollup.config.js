@@ -5,6 +5,7 @@ const replace = require('@rollup/plugin-replace')
 const { terser } = require('rollup-plugin-terser')
 const typescriptPlugin = require('@rollup/plugin-typescript')
 const commonjs = require('@rollup/plugin-commonjs')
+const workerCode = require('./rollup-plugin-worker-code')
 
 const path = require('path')
 const fs = require('fs')
@@ -35,6 +36,17 @@ const tsBundleOptions = {
 
 const external = [...Object.keys(pkgJson.dependencies || {}), ...Object.keys(pkgJson.peerDependencies || {})]
 
+// The code run by the workers is bundled on its own and embedded as a string (see rollup-plugin-worker-code.js)
+function workerPlugins (isBrowser) {
+  return [
+    replace({
+      IS_BROWSER: isBrowser,
+      preventAssignment: true
+    }),
+    typescriptPlugin(tsBundleOptions)
+  ]
+}
+
 const sourcemapOutputOptions = {
   sourcemap: 'inline',
   sourcemapExcludeSources: true
@@ -55,6 +67,7 @@ module.exports = [
         IS_BROWSER: true,
         preventAssignment: true
       }),
+      workerCode({ plugins: workerPlugins(true) }),
       typescriptPlugin(tsBundleOptions)
     ],
     external
@@ -82,6 +95,7 @@ module.exports = [
         IS_BROWSER: true,
         preventAssignment: true
       }),
+      workerCode({ plugins: [...workerPlugins(true), terser()] }),
       typescriptPlugin(tsBundleOptions),
       resolve({
         browser: true,
@@ -103,6 +117,7 @@ module.exports = [
         IS_BROWSER: false,
         preventAssignment: true
       }),
+      workerCode({ plugins: workerPlugins(false) }),
       typescriptPlugin({
         ...tsBundleOptions,
         declaration: true,
@@ -127,6 +142,7 @@ module.exports = [
         IS_BROWSER: false,
         preventAssignment: true
       }),
+      workerCode({ plugins: workerPlugins(false) }),
       typescriptPlugin(tsBundleOptions),
       commonjs({ extensions: ['.js', '.ts'] }) // the ".ts" extension is required
     ]
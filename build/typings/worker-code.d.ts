@@ -0,0 +1,5 @@
+/** The code of a module bundled on its own, to be run by a Worker (see build/rollup-plugin-worker-code.js) */
+declare module 'worker-code:*' {
+  const code: string
+  export default code
+}
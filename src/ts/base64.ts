@@ -0,0 +1,53 @@
+/** The standard base64 alphabet (RFC 4648) */
+const STANDARD_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Encodes bytes in base64. Every 3 bytes are encoded, most significant bit first, as 4 characters of alphabet.
+ * @private
+ *
+ * @param bytes - the bytes to encode
+ * @param alphabet - the 64 characters to use. Defaults to the standard base64 alphabet
+ * @param pad - whether to add the '=' padding characters. Defaults to false
+ */
+const _base64Encode = function (bytes: Uint8Array, alphabet: string = STANDARD_ALPHABET, pad: boolean = false): string {
+  let str = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const remaining = bytes.length - i
+    const chunk = (bytes[i] << 16) | ((remaining > 1 ? bytes[i + 1] : 0) << 8) | (remaining > 2 ? bytes[i + 2] : 0)
+    str += alphabet[chunk >>> 18] + alphabet[(chunk >>> 12) & 63]
+    str += (remaining > 1) ? alphabet[(chunk >>> 6) & 63] : (pad ? '=' : '')
+    str += (remaining > 2) ? alphabet[chunk & 63] : (pad ? '=' : '')
+  }
+  return str
+}
+
+/**
+ * Decodes a base64 string encoded with _base64Encode(). Padding is optional.
+ * @private
+ *
+ * @param str - the base64 string
+ * @param alphabet - the 64 characters used to encode it. Defaults to the standard base64 alphabet
+ *
+ * @throws {RangeError} if str is not a valid base64 string
+ */
+const _base64Decode = function (str: string, alphabet: string = STANDARD_ALPHABET): Uint8Array {
+  if (str.length % 4 === 0 && str.endsWith('=')) str = str.slice(0, str.endsWith('==') ? -2 : -1)
+  if (str.length % 4 === 1) throw new RangeError('invalid base64 string')
+  const bytes = new Uint8Array(Math.floor(str.length * 3 / 4))
+  let buffer = 0
+  let bits = 0
+  let j = 0
+  for (let i = 0; i < str.length; i++) {
+    const value = alphabet.indexOf(str[i])
+    if (value === -1) throw new RangeError('invalid base64 string')
+    buffer = ((buffer << 6) | value) & 0xffffff
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      bytes[j++] = (buffer >>> bits) & 0xff
+    }
+  }
+  return bytes
+}
+
+export { _base64Encode, _base64Decode }
@@ -0,0 +1,101 @@
+import { scrypt, _scryptMemory, ScryptOptions, ScryptParams } from './scrypt'
+import { _effectiveScryptLimits } from './limits'
+import { _recordCalibration } from './estimate'
+import { validateScryptParams } from './validate'
+
+/**
+ * Options for calibrate()
+ */
+export interface CalibrateOptions extends ScryptOptions {
+  /** The time in milliseconds a derivation should take at most on this device, e.g. 100 for interactive logins or 5000 for file encryption */
+  targetMs: number
+  /** The memory in octets a derivation can allocate at most (see the memory limit in setScryptLimits()). Defaults to the maxMemory limit */
+  maxMemoryBytes?: number
+  /** The blocksize parameter. Defaults to 8 */
+  r?: number
+  /** The parallelization parameter. Defaults to 1 */
+  p?: number
+}
+
+/**
+ * A derivation measured by calibrate()
+ */
+export interface CalibrationMeasurement {
+  N: number
+  /** The time the derivation took in milliseconds */
+  ms: number
+}
+
+/**
+ * The result of calibrate()
+ */
+export interface CalibrationResult extends ScryptParams {
+  /** The time in milliseconds a derivation with N, r and p is expected to take on this device */
+  estimatedMs: number
+  /** The memory in octets a derivation with N, r and p allocates */
+  memory: number
+  /** The derivations measured, from the smallest N to the largest one */
+  measurements: CalibrationMeasurement[]
+}
+
+/** N of the first derivation measured, which is also used to warm up (spawn the workers, compile the WebAssembly module...) */
+const MIN_N = 1024
+/** The derivations are measured until one takes at least this time in milliseconds (or a quarter of targetMs if smaller) */
+const MIN_SAMPLE_MS = 100
+
+/**
+ * Measures short scrypt derivations on the current device, and returns the largest N (a power of 2) with which a
+ * derivation is expected to take no more than targetMs milliseconds and to allocate no more than maxMemoryBytes octets.
+ *
+ * The time of a derivation grows linearly with N, so N is doubled from 1024 until a derivation takes at least 100 ms
+ * (or targetMs / 4 if smaller), and the time per unit of N is extrapolated from the measurements. It takes less
+ * than targetMs in total in most devices. Measurements vary between runs and devices under different loads, so the
+ * result is just an estimate.
+ *
+ * @param options - the target time and maximum memory, r and p (8 and 1 by default), and any option accepted by scrypt(), such as the backend, which affect the time of a derivation
+ *
+ * @throws {RangeError} if targetMs or maxMemoryBytes are not positive numbers, or if no N fits in maxMemoryBytes
+ * @throws {ScryptParameterError} if r or p are not valid
+ *
+ * @returns the scrypt parameters, along with the expected time and memory of a derivation and the measurements
+ */
+const calibrate = async function (options: CalibrateOptions): Promise<CalibrationResult> {
+  const { targetMs, maxMemoryBytes: maxMemoryBytesOption, r = 8, p = 1, ...scryptOptions } = options
+  const limits = _effectiveScryptLimits(scryptOptions.limits)
+  const maxMemoryBytes = (maxMemoryBytesOption !== undefined) ? maxMemoryBytesOption : limits.maxMemory
+  if (!(targetMs > 0)) throw new RangeError('targetMs must be a number > 0')
+  if (!(maxMemoryBytes > 0)) throw new RangeError('maxMemoryBytes must be a number > 0')
+  validateScryptParams({ N: 2, r, p }) // any N > 1 is valid for every r
+
+  // The largest N that fits in the memory (and does not exceed the limit for N)
+  let maxN = 2
+  if (_scryptMemory(maxN, r, p, scryptOptions) > maxMemoryBytes) throw new RangeError(`no N fits in ${maxMemoryBytes} octets with r=${r} and p=${p}`)
+  while (2 * maxN <= Math.min(limits.maxN, 2 ** 32) && _scryptMemory(2 * maxN, r, p, scryptOptions) <= maxMemoryBytes) maxN *= 2
+
+  const measure = async function (N: number): Promise<number> {
+    const start = Date.now()
+    await scrypt('password', 'calibration salt', 32, { N, r, p }, { ...scryptOptions, limits: { ...limits, maxMemory: maxMemoryBytes } })
+    return Date.now() - start
+  }
+
+  const minSampleMs = Math.min(MIN_SAMPLE_MS, targetMs / 4)
+  const measurements: CalibrationMeasurement[] = []
+  let N = Math.min(MIN_N, maxN)
+  await measure(N) // warm-up
+  while (true) {
+    const ms = await measure(N)
+    measurements.push({ N, ms })
+    if (ms >= minSampleMs || N >= maxN) break
+    N *= 2
+  }
+
+  // Least-squares fit of ms = msPerN * N, which is dominated by the largest (and most accurate) measurements
+  const msPerN = measurements.reduce((sum, m) => sum + m.N * m.ms, 0) / measurements.reduce((sum, m) => sum + m.N * m.N, 0)
+  _recordCalibration(N, r, p, N * msPerN, scryptOptions) // so that estimate() can estimate the time of other derivations
+  N = 2
+  while (2 * N <= maxN && 2 * N * msPerN <= targetMs) N *= 2
+
+  return { N, r, p, estimatedMs: N * msPerN, memory: _scryptMemory(N, r, p, scryptOptions), measurements }
+}
+
+export { calibrate }
@@ -0,0 +1,79 @@
+import { scrypt, ScryptOptions, ScryptParams } from './scrypt'
+import { _base64Decode, _base64Encode } from './base64'
+import { _randomString } from './randomString'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/** The fixed scrypt parameters of Cisco type 9 hashes */
+const CISCO9_SCRYPT_PARAMS: Readonly<ScryptParams> = Object.freeze({ N: 16384, r: 1, p: 1 })
+/** Cisco's base64 alphabet. It is used with the standard (most significant bit first) bit order */
+const CISCO9_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+/** Length of the salt of Cisco type 9 hashes */
+const CISCO9_SALT_LENGTH = 14
+/** Length in octets of the derived key of Cisco type 9 hashes */
+const CISCO9_DKLEN = 32
+
+/**
+ * Options for cisco9.hash()
+ */
+export interface Cisco9HashOptions extends ScryptOptions {
+  /** The salt: 14 characters of Cisco's base64 alphabet (`./0-9A-Za-z`). Defaults to a random one */
+  salt?: string
+}
+
+/**
+ * Parses a Cisco type 9 hash
+ * @private
+ *
+ * @throws {RangeError} if encoded is not a valid Cisco type 9 hash
+ */
+const _cisco9Decode = function (encoded: string): { salt: string, hash: Uint8Array } {
+  const match = /^\$9\$([./0-9A-Za-z]{14})\$([./0-9A-Za-z]{43})$/.exec(encoded)
+  if (match === null) throw new RangeError('invalid Cisco type 9 hash')
+  return { salt: match[1], hash: _base64Decode(match[2], CISCO9_ALPHABET) }
+}
+
+/**
+ * Derives a key from a password as Cisco IOS does for type 9 secrets (scrypt with N=16384, r=1, p=1, the 14-character
+ * salt string as salt and a 32-byte key) and returns it encoded as Cisco does: `$9$<salt>$<hash>`
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - the salt (a random one if not provided), and any option accepted by scrypt()
+ *
+ * @throws {RangeError} if the salt is not 14 characters of Cisco's base64 alphabet
+ *
+ * @returns the type 9 hash, which can be checked with cisco9.verify() or used in `enable secret 9 <hash>`
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: Cisco9HashOptions = {}): Promise<string> {
+  const { salt = _randomString(CISCO9_SALT_LENGTH, CISCO9_ALPHABET), ...scryptOptions } = options
+  if (!/^[./0-9A-Za-z]{14}$/.test(salt)) throw new RangeError('the salt must be 14 characters of Cisco\'s base64 alphabet (./0-9A-Za-z)')
+  const DK = await scrypt(password, salt, CISCO9_DKLEN, CISCO9_SCRYPT_PARAMS, scryptOptions)
+  return `$9$${salt}$${_base64Encode(new Uint8Array(DK), CISCO9_ALPHABET)}`
+}
+
+/**
+ * Checks a password against a Cisco type 9 hash
+ *
+ * @param encoded - a Cisco type 9 hash: `$9$<salt>$<hash>`
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if encoded is not a valid Cisco type 9 hash
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { salt, hash: expected } = _cisco9Decode(encoded)
+  const DK = await scrypt(password, salt, CISCO9_DKLEN, CISCO9_SCRYPT_PARAMS, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Cisco IOS type 9 (`enable secret 9`) password hashes
+ */
+const cisco9 = {
+  hash,
+  verify
+}
+
+export { cisco9, _cisco9Decode, CISCO9_SCRYPT_PARAMS }
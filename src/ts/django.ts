@@ -0,0 +1,121 @@
+import { scrypt, ScryptOptions, ScryptParams } from './scrypt'
+import { _base64Decode, _base64Encode } from './base64'
+import { _randomString } from './randomString'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/** Django's ScryptPasswordHasher parameters: work_factor, block_size and parallelism */
+const DJANGO_SCRYPT_PARAMS: Readonly<ScryptParams> = Object.freeze({ N: 16384, r: 8, p: 1 })
+/** Django's RANDOM_STRING_CHARS */
+const DJANGO_SALT_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+/** Length of the salts created by Django: the 128 bits of salt_entropy with 62 possible characters */
+const DJANGO_SALT_LENGTH = 22
+/** Length in octets of the derived key in Django's ScryptPasswordHasher */
+const DJANGO_DKLEN = 64
+
+/**
+ * Options for djangoScrypt.hash()
+ */
+export interface DjangoHashOptions extends ScryptOptions {
+  /** scrypt parameters. The ones not provided default to Django's: N=16384, r=8, p=1 */
+  scryptParams?: Partial<ScryptParams>
+  /** The salt. Defaults to a random string of 22 letters and digits, as Django does. It cannot contain '$' */
+  salt?: string
+}
+
+/**
+ * The contents of a Django scrypt password hash
+ * @private
+ */
+export interface DjangoHash extends ScryptParams {
+  salt: string
+  hash: Uint8Array
+}
+
+/**
+ * Encodes scrypt parameters, salt and derived key as Django does: `scrypt$<N>$<salt>$<r>$<p>$<base64 hash>`
+ * @private
+ */
+const _djangoEncode = function (djangoHash: DjangoHash): string {
+  return `scrypt$${djangoHash.N}$${djangoHash.salt}$${djangoHash.r}$${djangoHash.p}$${_base64Encode(djangoHash.hash, undefined, true)}`
+}
+
+/**
+ * Parses a Django scrypt password hash
+ * @private
+ *
+ * @throws {RangeError} if encoded is not a valid Django scrypt password hash
+ */
+const _djangoDecode = function (encoded: string): DjangoHash {
+  const match = /^scrypt\$(\d{1,16})\$([^$]+)\$(\d{1,10})\$(\d{1,10})\$([A-Za-z0-9+/]+={0,2})$/.exec(encoded)
+  if (match === null) throw new RangeError('invalid Django scrypt password hash')
+  return {
+    N: parseInt(match[1]),
+    salt: match[2],
+    r: parseInt(match[3]),
+    p: parseInt(match[4]),
+    hash: _base64Decode(match[5])
+  }
+}
+
+/**
+ * Derives a key from a password as Django's ScryptPasswordHasher does (a 64-byte key, with the UTF-8 encoding of the
+ * salt string as the scrypt salt) and returns it encoded as Django does: `scrypt$<N>$<salt>$<r>$<p>$<base64 hash>`
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - the scrypt parameters and the salt (Django's defaults if not provided), and any option accepted by scrypt()
+ *
+ * @throws {RangeError} if the salt is empty or it contains '$'
+ *
+ * @returns the encoded password hash, which can be checked with djangoScrypt.verify() or by Django
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: DjangoHashOptions = {}): Promise<string> {
+  const { scryptParams = {}, salt = _randomString(DJANGO_SALT_LENGTH, DJANGO_SALT_CHARS), ...scryptOptions } = options
+  if (salt === '' || salt.includes('$')) throw new RangeError('the salt must be a non-empty string without \'$\'')
+  const params = { ...DJANGO_SCRYPT_PARAMS, ...scryptParams }
+  const DK = await scrypt(password, salt, DJANGO_DKLEN, params, scryptOptions)
+  return _djangoEncode({ ...params, salt, hash: new Uint8Array(DK) })
+}
+
+/**
+ * Checks a password against a Django scrypt password hash, as Django's ScryptPasswordHasher does
+ *
+ * @param encoded - a Django scrypt password hash: `scrypt$<N>$<salt>$<r>$<p>$<base64 hash>`
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if encoded is not a valid Django scrypt password hash
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { N, r, p, salt, hash: expected } = _djangoDecode(encoded)
+  const DK = await scrypt(password, salt, DJANGO_DKLEN, { N, r, p }, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Checks whether a Django scrypt password hash was computed with scrypt parameters other than the ones in policy,
+ * as Django's ScryptPasswordHasher.must_update() does
+ *
+ * @param encoded - a Django scrypt password hash
+ * @param policy - the scrypt parameters the hash should have. The ones not provided default to Django's: N=16384, r=8, p=1
+ *
+ * @throws {RangeError} if encoded is not a valid Django scrypt password hash
+ */
+const needsRehash = function (encoded: string, policy: Partial<ScryptParams> = {}): boolean {
+  const { N, r, p } = _djangoDecode(encoded)
+  const params = { ...DJANGO_SCRYPT_PARAMS, ...policy }
+  return N !== params.N || r !== params.r || p !== params.p
+}
+
+/**
+ * Compatibility with the password hashes of Django's ScryptPasswordHasher
+ */
+const djangoScrypt = {
+  hash,
+  verify,
+  needsRehash
+}
+
+export { djangoScrypt, _djangoEncode, _djangoDecode }
@@ -0,0 +1,107 @@
+/**
+ * The scrypt core (salsa208Core, scryptBlockMix and scryptROMix) works on 32-bit words, which RFC 7914 defines as
+ * little-endian: word i of an octet string is octets 4i to 4i + 3, least significant first. A Uint32Array view of an
+ * octet string only holds those words on little-endian hosts (almost all of them), since typed arrays use the byte
+ * order of the host. On big-endian hosts, the words are swapped when they are loaded from an octet string and
+ * when they are stored back, so the core is endian-independent.
+ */
+
+/** true if the host is little endian */
+const LITTLE_ENDIAN_HOST = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1
+
+let bigEndianSimulation = false
+
+/**
+ * Simulates a big-endian host, so that the conversion of the words at the boundaries of the scrypt core can be
+ * tested on little-endian ones. The octet strings loaded as words are byte-swapped in place (and restored when the
+ * words are stored back), so that a Uint32Array view of them holds the same words it would hold in a big-endian host.
+ * Then the words are converted as in big-endian hosts, so any code reading the octets without converting them gets
+ * wrong words and wrong results.
+ *
+ * It only has to be used for testing: the results are the same, but derivations are slower.
+ *
+ * @param enabled - whether to simulate a big-endian host
+ */
+const simulateBigEndian = function (enabled: boolean): void {
+  bigEndianSimulation = enabled
+}
+
+/**
+ * Returns true if Uint32Array views of octet strings hold their little-endian words: the host is little endian and
+ * no big-endian host is being simulated
+ * @private
+ */
+const _littleEndianWords = function (): boolean {
+  return LITTLE_ENDIAN_HOST && !bigEndianSimulation
+}
+
+/**
+ * Swaps the octets of every word
+ * @private
+ */
+const _swapWords = function (words: Uint32Array): void {
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i]
+    words[i] = ((w & 0xff) << 24 | (w & 0xff00) << 8 | (w >>> 8) & 0xff00 | w >>> 24) >>> 0
+  }
+}
+
+/**
+ * Swaps in place the octets of every 4-octet word of an octet string, so that a Uint32Array view of it holds the words a
+ * big-endian host would see, or the other way round
+ * @private
+ */
+const _swapOctets = function (octets: ArrayBufferView): void {
+  const bytes = new Uint8Array(octets.buffer, octets.byteOffset, octets.byteLength)
+  for (let i = 0; i < bytes.length; i += 4) {
+    const b0 = bytes[i]
+    const b1 = bytes[i + 1]
+    bytes[i] = bytes[i + 3]
+    bytes[i + 1] = bytes[i + 2]
+    bytes[i + 2] = b1
+    bytes[i + 3] = b0
+  }
+}
+
+/**
+ * Returns the little-endian 32-bit words of an octet string. In little-endian hosts, it is just a Uint32Array view of
+ * the octets. Otherwise, it is a new array, so the octets have to be updated with _storeWords() if the words change.
+ * @private
+ *
+ * @param octets - an octet string whose length is a multiple of 4, at an offset multiple of 4 in its buffer
+ */
+const _loadWords = function (octets: ArrayBufferView): Uint32Array {
+  if (_littleEndianWords()) return new Uint32Array(octets.buffer, octets.byteOffset, octets.byteLength / 4)
+  if (bigEndianSimulation) _swapOctets(octets) // restored by _storeWords()
+  // Typed arrays of big-endian hosts load big-endian words, which are swapped to get the little-endian ones
+  const words = new Uint32Array(octets.buffer.slice(octets.byteOffset, octets.byteOffset + octets.byteLength))
+  _swapWords(words)
+  return words
+}
+
+/**
+ * Stores the little-endian 32-bit words returned by _loadWords() in the octet string they were loaded from (or in
+ * any other one of the same length). It does nothing if words is already a view of the octets.
+ * @private
+ */
+const _storeWords = function (words: Uint32Array, octets: ArrayBufferView): void {
+  if (words.buffer === octets.buffer && words.byteOffset === octets.byteOffset) return
+  const swapped = words.slice(0)
+  _swapWords(swapped) // little-endian words to big-endian ones
+  new Uint8Array(octets.buffer, octets.byteOffset, octets.byteLength).set(new Uint8Array(swapped.buffer))
+  if (bigEndianSimulation) _swapOctets(octets) // from the layout of a big-endian host to the actual octets
+}
+
+/**
+ * Returns the octet string of some little-endian 32-bit words: a view of the same memory in little-endian hosts, or
+ * a new array otherwise
+ * @private
+ */
+const _wordsToOctets = function (words: Uint32Array): Uint8Array {
+  if (_littleEndianWords()) return new Uint8Array(words.buffer, words.byteOffset, words.byteLength)
+  const octets = new Uint8Array(words.byteLength)
+  _storeWords(words, octets)
+  return octets
+}
+
+export { simulateBigEndian, _littleEndianWords, _loadWords, _storeWords, _wordsToOctets }
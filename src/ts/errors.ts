@@ -0,0 +1,53 @@
+/**
+ * Error thrown (or used to reject a promise) when a derivation is cancelled with an AbortSignal.
+ * As the DOM and Node.js errors for aborted operations, it has name `'AbortError'` and code `'ABORT_ERR'`.
+ */
+export class AbortError extends Error {
+  code: string
+
+  constructor (message: string = 'The operation was aborted') {
+    super(message)
+    this.name = 'AbortError'
+    this.code = 'ABORT_ERR'
+  }
+}
+
+/**
+ * Error thrown (or used to reject a promise) when a scrypt parameter is not valid. param is the name of the invalid
+ * parameter (`'P'`, `'S'`, `'N'`, `'r'`, `'p'`, `'dkLen'`, or the input arrays `'B'` of scryptROMix() and
+ * scryptBlockMix() and `'arr'` of salsa208Core()), and code tells what is wrong with it:
+ * - `'ERR_SCRYPT_INVALID_TYPE'`: it does not have a valid type (e.g. a password that is not a string or a binary array)
+ * - `'ERR_SCRYPT_NOT_INTEGER'`: it is not an integer
+ * - `'ERR_SCRYPT_NOT_POWER_OF_2'`: N is not a power of 2
+ * - `'ERR_SCRYPT_OUT_OF_RANGE'`: it is out of the range allowed by RFC 7914 (e.g. N = 1, N >= 2^(128 * r / 8), or p * r too large)
+ * - `'ERR_SCRYPT_INVALID_LENGTH'`: the length of a binary array is not valid (e.g. B is not 128 * r octets long)
+ * - `'ERR_SCRYPT_LIMIT'`: it exceeds the limits of the current policy (see ScryptLimitError)
+ */
+export class ScryptParameterError extends RangeError {
+  code: string
+  param: string
+
+  constructor (param: string, code: string, message: string) {
+    super(message)
+    this.name = 'ScryptParameterError'
+    this.code = code
+    this.param = param
+  }
+}
+
+/**
+ * Error thrown (or used to reject a promise) when the scrypt parameters exceed the limits of the current policy (see
+ * setScryptLimits()), before any memory is allocated. It has code `'ERR_SCRYPT_LIMIT'`, and param is the name of the
+ * limited value: `'N'`, `'r'`, `'p'`, `'dkLen'` or `'memory'` (the octets the derivation would allocate).
+ */
+export class ScryptLimitError extends ScryptParameterError {
+  value: number
+  limit: number
+
+  constructor (param: string, value: number, limit: number) {
+    super(param, 'ERR_SCRYPT_LIMIT', `${param}=${value} exceeds the limit of ${limit}`)
+    this.name = 'ScryptLimitError'
+    this.value = value
+    this.limit = limit
+  }
+}
@@ -0,0 +1,130 @@
+import { ScryptOptions, ScryptParams, _useNative } from './scrypt'
+import { ScryptPresetName, _presetParams } from './presets'
+import { _tmtoFactor } from './scryptRomMixCore'
+import { _scryptWasm } from './scryptWasm'
+import { _simultaneousLanes } from './scryptWorkers'
+import { validateScryptParams } from './validate'
+
+/**
+ * Options for estimate(): the options of scrypt() that affect the resources a derivation uses
+ */
+export type EstimateOptions = Pick<ScryptOptions, 'backend' | 'tmto' | 'memoryBudget' | 'cooperative'>
+
+/**
+ * The memory a derivation allocates with a backend
+ */
+export interface ScryptMemoryEstimate {
+  /** Octets of B: p blocks of 128 * r octets */
+  B: number
+  /** Octets of the table V of every lane: 128 * r * ceil(N / k) for a TMTO factor k (128 * r * N with the native backend) */
+  V: number
+  /** Other octets allocated for every lane: its copy of B[i] and the scratch arrays of scryptROMix and scryptBlockMix (and, with WebAssembly, the rest of the memory of the instance, which grows in pages of 64 KiB) */
+  scratch: number
+  /** Number of lanes computed at the same time, each one with its own V and scratch arrays */
+  simultaneousLanes: number
+  /** B + simultaneousLanes * (V + scratch) */
+  total: number
+}
+
+/**
+ * The result of estimate()
+ */
+export interface ScryptEstimate extends ScryptParams {
+  /** The time-memory tradeoff factor (see options.tmto in scrypt()) */
+  k: number
+  /** The memory with the JS backend */
+  js: ScryptMemoryEstimate
+  /** The memory with the WebAssembly backends (`'wasm'` and `'wasm-simd'`) */
+  wasm: ScryptMemoryEstimate
+  /** The memory with the native backend (Node.js `crypto.scrypt`, which computes the lanes one after another). It does not support TMTO */
+  native: ScryptMemoryEstimate
+  /** Number of Salsa20/8 Core invocations: 4 * r * N per lane without TMTO. With TMTO, the recomputed V[j] depend on the data, so it is the expected number */
+  salsa208Invocations: number
+  /** The expected time in milliseconds of the derivation with the backend in options, if calibrate() has been run with that backend before */
+  estimatedMs?: number
+}
+
+/** The time of every Salsa20/8 Core invocation in every backend measured by calibrate() */
+const msPerSalsa208: { [backend: string]: number } = {}
+
+/**
+ * Returns the number of Salsa20/8 Core invocations of one scryptROMix lane: 2 * r per BlockMix, N BlockMix in every
+ * loop, plus j mod k BlockMix to recompute every V[j] in TMTO mode (the expected number, j being uniformly distributed)
+ * @private
+ */
+const _laneSalsa208Invocations = function (N: number, r: number, k: number): number {
+  const q = Math.floor(N / k)
+  const rem = N % k
+  const recomputed = q * k * (k - 1) / 2 + rem * (rem - 1) / 2 // sum of (j mod k) for j = 0 to N - 1
+  return 2 * r * (2 * N + recomputed)
+}
+
+/**
+ * Returns the backend scrypt() uses with these options, and the number of lanes it computes at the same time
+ * @private
+ */
+const _resolvedBackend = function (p: number, options: EstimateOptions): { backend: string, simultaneousLanes: number } {
+  if (_useNative(options)) return { backend: 'native', simultaneousLanes: 1 }
+  const wasm = _scryptWasm(options.backend === 'native' ? 'js' : options.backend)
+  const backend = (wasm === undefined) ? 'js' : (wasm.simd ? 'wasm-simd' : 'wasm')
+  return { backend, simultaneousLanes: _simultaneousLanes(p, options.cooperative) }
+}
+
+/**
+ * Records the time of a derivation measured by calibrate(), so that estimate() can estimate the time of other ones
+ * @private
+ */
+const _recordCalibration = function (N: number, r: number, p: number, ms: number, options: EstimateOptions): void {
+  const k = _tmtoFactor(N, r, options.tmto, options.memoryBudget)
+  const { backend, simultaneousLanes } = _resolvedBackend(p, options)
+  msPerSalsa208[backend] = ms / (Math.ceil(p / simultaneousLanes) * _laneSalsa208Invocations(N, r, k))
+}
+
+/**
+ * Estimates the resources a derivation with some scrypt parameters needs, before starting it: the exact memory B and
+ * the tables V use with every backend, the number of Salsa20/8 Core invocations, and, if calibrate() has been run
+ * before with the same backend, the expected time.
+ *
+ * @param scryptParams - the scrypt parameters, or the name of one of the presets (e.g. `'interactive'`)
+ * @param options - the options of scrypt() that affect the resources: backend, tmto, memoryBudget and cooperative
+ *
+ * @throws {RangeError} if scryptParams is the name of an unknown preset, or if the options are not valid
+ * @throws {ScryptParameterError} if N, r or p are not valid
+ */
+const estimate = function (scryptParams: ScryptParams | ScryptPresetName, options: EstimateOptions = {}): ScryptEstimate {
+  const { N, r, p } = (typeof scryptParams === 'string') ? _presetParams(scryptParams) : scryptParams
+  validateScryptParams({ N, r, p })
+  const k = _tmtoFactor(N, r, options.tmto, options.memoryBudget)
+  const B = 128 * r * p
+  const V = 128 * r * Math.ceil(N / k)
+  const lanes = _simultaneousLanes(p, options.cooperative)
+  const memory = function (V: number, scratch: number, simultaneousLanes: number): ScryptMemoryEstimate {
+    return { B, V, scratch, simultaneousLanes, total: B + simultaneousLanes * (V + scratch) }
+  }
+
+  // B[i], T (only in TMTO mode), and X, Yodd and x of scryptBlockMix
+  const jsScratch = 128 * r + ((k > 1) ? 128 * r : 0) + 64 + 64 * r + 64
+  // B[i], and the memory of the instance (see src/wat/scrypt.wat) but V
+  const wasmMemory = 65536 * Math.max(1, Math.ceil((320 * r + 64 + V) / 65536))
+  const wasmScratch = 128 * r + wasmMemory - V
+
+  const salsa208Invocations = p * _laneSalsa208Invocations(N, r, k)
+  const result: ScryptEstimate = {
+    N,
+    r,
+    p,
+    k,
+    js: memory(V, jsScratch, lanes),
+    wasm: memory(V, wasmScratch, lanes),
+    // OpenSSL allocates B, V, and X and T of 128 * r octets each
+    native: memory(128 * r * N, 256 * r, 1),
+    salsa208Invocations
+  }
+  const { backend, simultaneousLanes } = _resolvedBackend(p, options)
+  if (msPerSalsa208[backend] !== undefined) {
+    result.estimatedMs = msPerSalsa208[backend] * Math.ceil(p / simultaneousLanes) * _laneSalsa208Invocations(N, r, k)
+  }
+  return result
+}
+
+export { estimate, _recordCalibration }
@@ -0,0 +1,78 @@
+import { scrypt, ScryptOptions } from './scrypt'
+import { _base64Decode } from './base64'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/**
+ * A password hash exported from Firebase Auth, along with the hash configuration of the Firebase project. All the
+ * binary values are base64 encoded, as in the output of `firebase auth:export` and the project's password hash
+ * parameters.
+ */
+export interface FirebaseScryptHash {
+  /** The user's passwordHash */
+  hash: string
+  /** The user's salt */
+  salt: string
+  /** The project's base64_salt_separator */
+  saltSeparator: string
+  /** The project's base64_signer_key */
+  signerKey: string
+  /** The project's rounds, used as the scrypt r parameter */
+  rounds: number
+  /** The project's mem_cost, the base-2 logarithm of the scrypt N parameter */
+  memCost: number
+}
+
+/** Length in octets of the key derived by Firebase's modified scrypt, which is used as an AES-256 key */
+const FIREBASE_DKLEN = 32
+
+/**
+ * Encrypts data with AES-256 in CTR mode and an all-zero initial counter block
+ * @private
+ */
+const _aes256CtrZeroIv = async function (key: Uint8Array, data: Uint8Array): Promise<Uint8Array> {
+  const iv = new Uint8Array(16)
+  if (IS_BROWSER) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CTR', false, ['encrypt'])
+    return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CTR', counter: iv, length: 128 }, cryptoKey, data))
+  } else {
+    const cipher = require('crypto').createCipheriv('aes-256-ctr', key, iv) // eslint-disable-line
+    const ciphertext: Uint8Array = Buffer.concat([cipher.update(data), cipher.final()])
+    return new Uint8Array(ciphertext.buffer, ciphertext.byteOffset, ciphertext.length)
+  }
+}
+
+/**
+ * Checks a password against a password hash exported from Firebase Auth, which uses Firebase's modified scrypt: a
+ * 32-byte key is derived with scrypt (N=2^memCost, r=rounds, p=1 and the salt followed by the salt separator as salt)
+ * and the signer key is encrypted with it using AES-256-CTR with an all-zero IV. The password matches if the
+ * result is the stored hash.
+ *
+ * @param firebaseHash - the user's hash and salt, and the password hash parameters of the Firebase project
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if any of hash, salt, saltSeparator or signerKey is not valid base64, or if the scrypt parameters are not valid
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (firebaseHash: FirebaseScryptHash, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const expected = _base64Decode(firebaseHash.hash)
+  const salt = _base64Decode(firebaseHash.salt)
+  const saltSeparator = _base64Decode(firebaseHash.saltSeparator)
+  const signerKey = _base64Decode(firebaseHash.signerKey)
+  const S = new Uint8Array(salt.length + saltSeparator.length)
+  S.set(salt)
+  S.set(saltSeparator, salt.length)
+  const DK = await scrypt(password, S, FIREBASE_DKLEN, { N: 2 ** firebaseHash.memCost, r: firebaseHash.rounds, p: 1 }, options)
+  return _timingSafeEqual(await _aes256CtrZeroIv(new Uint8Array(DK), signerKey), expected)
+}
+
+/**
+ * Verification of the password hashes exported from Firebase Auth (Firebase's modified scrypt)
+ */
+const firebaseScrypt = {
+  verify
+}
+
+export { firebaseScrypt }
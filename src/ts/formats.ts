@@ -0,0 +1,175 @@
+import { ScryptOptions, ScryptParams, _scryptMemory } from './scrypt'
+import { verify as phcVerify, needsRehash as phcNeedsRehash, _phcDecode, RehashPolicy } from './phc'
+import { libsodiumScrypt, _libsodiumDecode } from './libsodium'
+import { djangoScrypt, _djangoDecode } from './django'
+import { werkzeugScrypt, _werkzeugDecode } from './werkzeug'
+import { cisco9, _cisco9Decode, CISCO9_SCRYPT_PARAMS } from './cisco9'
+import { passlibScrypt, _passlibDecode, _passlibWeakerThanDefaults } from './passlib'
+import { _checkScryptLimits } from './limits'
+import { TypedArray } from './shared-types'
+import { ScryptPresetName, _presetParams } from './presets'
+
+/**
+ * A handler of an encoding of scrypt password hashes, which can be registered with registerFormat() so that
+ * verifyAny() can check hashes in that encoding
+ */
+export interface PasswordHashFormat {
+  /** A unique name for the format, which verifyAny() returns */
+  name: string
+  /** Returns true if encoded is in this format (usually by looking at its prefix). It should not throw */
+  detect: (encoded: string) => boolean
+  /** Returns the scrypt parameters of encoded, so that they can be checked against the limits before deriving any key */
+  params: (encoded: string) => ScryptParams
+  /** Checks a password against encoded */
+  verify: (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions) => Promise<boolean>
+  /**
+   * Checks whether encoded should be computed again, e.g. because it uses outdated scrypt parameters. policy is the
+   * one given for this format in the rehashPolicies option of verifyAny(), if any
+   */
+  needsRehash: (encoded: string, policy?: any) => boolean
+}
+
+/**
+ * Options for verifyAny()
+ */
+export interface VerifyAnyOptions extends ScryptOptions {
+  /**
+   * The rehash policy of each format, by format name, which is passed to its needsRehash(), e.g.
+   * `{ phc: 'interactive', django: { N: 32768 }, libsodium: { opslimit, memlimit } }`. The name of a preset stands for
+   * its N, r and p. Formats without a policy use their defaults. Since the PHC strings created by hash() are detected
+   * as 'passlib' hashes if their derived key is 32 bytes long, 'passlib' hashes are checked with needsRehash() and the
+   * 'phc' policy if there is no 'passlib' one.
+   */
+  rehashPolicies?: Record<string, object | ScryptPresetName>
+}
+
+/**
+ * The result of verifyAny()
+ */
+export interface VerifyAnyResult {
+  /** Whether the password matches */
+  valid: boolean
+  /** The name of the format of the hash */
+  format: string
+  /** Whether the hash should be computed again with the current parameters of its format (see each format's needsRehash()) */
+  needsRehash: boolean
+}
+
+/** Registered formats, in the order they are tried: the last registered one first */
+const formats: PasswordHashFormat[] = [
+  {
+    name: 'cisco9',
+    detect: (encoded) => encoded.startsWith('$9$'),
+    params: (encoded) => { _cisco9Decode(encoded); return { ...CISCO9_SCRYPT_PARAMS } },
+    verify: cisco9.verify,
+    needsRehash: () => false
+  },
+  {
+    name: 'werkzeug',
+    detect: (encoded) => encoded.startsWith('scrypt:') || (encoded.startsWith('scrypt$') && encoded.split('$').length === 3),
+    params: (encoded) => { const { N, r, p } = _werkzeugDecode(encoded); return { N, r, p } },
+    verify: werkzeugScrypt.verify,
+    needsRehash: (encoded, policy) => werkzeugScrypt.needsRehash(encoded, policy)
+  },
+  {
+    name: 'django',
+    detect: (encoded) => encoded.startsWith('scrypt$') && encoded.split('$').length === 6,
+    params: (encoded) => { const { N, r, p } = _djangoDecode(encoded); return { N, r, p } },
+    verify: djangoScrypt.verify,
+    needsRehash: (encoded, policy) => djangoScrypt.needsRehash(encoded, policy)
+  },
+  {
+    name: 'libsodium',
+    detect: (encoded) => encoded.startsWith('$7$'),
+    params: (encoded) => { const { N, r, p } = _libsodiumDecode(encoded); return { N, r, p } },
+    verify: libsodiumScrypt.verify,
+    needsRehash: (encoded, policy = {}) => libsodiumScrypt.needsRehash(encoded, policy.opslimit, policy.memlimit)
+  },
+  {
+    name: 'passlib',
+    // passlib's hashes are PHC strings whose checksum is always 32 bytes long
+    detect: (encoded) => {
+      if (!encoded.startsWith('$scrypt$')) return false
+      try {
+        _passlibDecode(encoded)
+        return true
+      } catch (error) {
+        return false
+      }
+    },
+    params: (encoded) => { const { N, r, p } = _passlibDecode(encoded); return { N, r, p } },
+    verify: passlibScrypt.verify,
+    // The PHC strings created by hash() are detected as passlib hashes too, so by default only weaker parameters ask for a rehash
+    needsRehash: (encoded, policy) => (policy === undefined) ? _passlibWeakerThanDefaults(encoded) : passlibScrypt.needsRehash(encoded, policy)
+  },
+  {
+    name: 'phc',
+    detect: (encoded) => encoded.startsWith('$scrypt$'),
+    params: (encoded) => { const { N, r, p } = _phcDecode(encoded); return { N, r, p } },
+    verify: phcVerify,
+    needsRehash: (encoded, policy) => phcNeedsRehash(encoded, policy)
+  }
+]
+
+/**
+ * Registers a password hash format, so that verifyAny() can check hashes in it. Formats are tried from the last
+ * registered one to the first one, so a registered format takes precedence over the built-in ones. A format with the
+ * name of an already registered one replaces it.
+ *
+ * The built-in formats are 'passlib' (`$scrypt$...` with a 32-byte checksum), 'phc' (any other `$scrypt$...`, see
+ * hash()), 'libsodium' (`$7$...`), 'django' (`scrypt$N$...`), 'werkzeug' (`scrypt:N:r:p$...`) and 'cisco9' (`$9$...`).
+ * Since passlib's hashes are PHC strings, the ones created by hash() with a 32-byte derived key (the default) are
+ * detected as 'passlib' too, so the needsRehash of 'passlib' hashes is only true if their parameters are weaker than
+ * passlib's defaults (N=65536, r=8, p=1 and a 16-byte salt).
+ *
+ * @param format - the format handler
+ */
+const registerFormat = function (format: PasswordHashFormat): void {
+  unregisterFormat(format.name)
+  formats.unshift(format)
+}
+
+/**
+ * Unregisters a password hash format, either a registered or a built-in one
+ *
+ * @param name - the name of the format
+ *
+ * @returns true if the format was registered
+ */
+const unregisterFormat = function (name: string): boolean {
+  const index = formats.findIndex((format) => format.name === name)
+  if (index === -1) return false
+  formats.splice(index, 1)
+  return true
+}
+
+/**
+ * Checks a password against a stored scrypt password hash in any of the registered formats. The format is detected
+ * from the hash, and its scrypt parameters are checked against the limits (options.limits or the global policy, see
+ * setScryptLimits()) before deriving any key, so that a hash with huge parameters cannot exhaust the memory or CPU.
+ *
+ * @param encoded - a password hash in any of the registered formats
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - the rehash policy of each format, and any option accepted by scrypt(), such as the limits, the backend or an AbortSignal
+ *
+ * @throws {RangeError} if the format of encoded is unknown, encoded is not valid, or its rehash policy is the name of an unknown preset
+ * @throws {ScryptLimitError} if the scrypt parameters of encoded exceed the limits
+ *
+ * @returns whether the password matches, the name of the format, and whether the hash should be computed again
+ */
+const verifyAny = async function (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: VerifyAnyOptions = {}): Promise<VerifyAnyResult> {
+  const { rehashPolicies = {}, ...scryptOptions } = options
+  const format = formats.find((format) => format.detect(encoded))
+  if (format === undefined) throw new RangeError('unknown password hash format')
+  const { N, r, p } = format.params(encoded)
+  _checkScryptLimits({ N, r, p, memory: _scryptMemory(N, r, p, scryptOptions) }, scryptOptions.limits)
+  const valid = await format.verify(encoded, password, scryptOptions)
+  // The PHC strings created by hash() are detected as 'passlib' hashes, so those follow the 'phc' policy if there is no 'passlib' one
+  if (format.name === 'passlib' && rehashPolicies.passlib === undefined && rehashPolicies.phc !== undefined) {
+    return { valid, format: format.name, needsRehash: phcNeedsRehash(encoded, rehashPolicies.phc as RehashPolicy | ScryptPresetName) }
+  }
+  const policy = rehashPolicies[format.name]
+  return { valid, format: format.name, needsRehash: format.needsRehash(encoded, (typeof policy === 'string') ? _presetParams(policy) : policy) }
+}
+
+export { registerFormat, unregisterFormat, verifyAny }
@@ -4,9 +4,25 @@
  * @packageDocumentation
  */
 
-export * from './salsa208Core'
-export * from './scryptBlockMix'
-export * from './scryptRomMix'
-export * from './scrypt'
+export { salsa208Core } from './salsa208Core'
+export { scryptBlockMix } from './scryptBlockMix'
+export { scryptROMix, scryptROMixAsync, ScryptROMixBackend, ScryptROMixOptions, ScryptROMixAsyncOptions } from './scryptRomMix'
+export { scrypt, defaultScryptParams, ScryptParams, ScryptBackend, ScryptOptions } from './scrypt'
+export { setNativeConcurrency, getNativeConcurrency } from './nativeScrypt'
+export * from './errors'
+export { validateScryptParams } from './validate'
+export { simulateBigEndian } from './endianness'
 export * from './salt'
+export { hash, verify, needsRehash, HashOptions, RehashPolicy } from './phc'
+export { libsodiumScrypt, LibsodiumHashOptions } from './libsodium'
+export { djangoScrypt, DjangoHashOptions } from './django'
+export { werkzeugScrypt, WerkzeugHashOptions } from './werkzeug'
+export { passlibScrypt, PasslibHashOptions, PasslibRehashPolicy } from './passlib'
+export { cisco9, Cisco9HashOptions } from './cisco9'
+export { firebaseScrypt, FirebaseScryptHash } from './firebase'
+export * from './formats'
+export * from './limits'
+export * from './calibrate'
+export { estimate, EstimateOptions, ScryptEstimate, ScryptMemoryEstimate } from './estimate'
+export { presets, ScryptPreset, ScryptPresetName } from './presets'
 export * from './shared-types'
@@ -0,0 +1,238 @@
+import { scrypt, ScryptOptions, ScryptParams } from './scrypt'
+import { salt } from './salt'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/** The alphabet of the base64 variant used by libsodium (and crypt(3)) */
+const ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+
+/** crypto_pwhash_scryptsalsa208sha256_OPSLIMIT_INTERACTIVE */
+const OPSLIMIT_INTERACTIVE = 524288
+/** crypto_pwhash_scryptsalsa208sha256_MEMLIMIT_INTERACTIVE */
+const MEMLIMIT_INTERACTIVE = 16777216
+/** crypto_pwhash_scryptsalsa208sha256_OPSLIMIT_SENSITIVE */
+const OPSLIMIT_SENSITIVE = 33554432
+/** crypto_pwhash_scryptsalsa208sha256_MEMLIMIT_SENSITIVE */
+const MEMLIMIT_SENSITIVE = 1073741824
+
+/**
+ * Options for libsodiumScrypt.hash()
+ */
+export interface LibsodiumHashOptions extends ScryptOptions {
+  /** Maximum amount of computation, as in libsodium. Defaults to OPSLIMIT_INTERACTIVE. It is ignored if scryptParams is provided. */
+  opslimit?: number
+  /** Maximum amount of memory in octets, as in libsodium. Defaults to MEMLIMIT_INTERACTIVE. It is ignored if scryptParams is provided. */
+  memlimit?: number
+  /** scrypt parameters to use instead of the ones picked from opslimit and memlimit. N must be a power of 2 not larger than 2^63, and r and p must be lower than 2^30. */
+  scryptParams?: ScryptParams
+}
+
+/**
+ * The contents of a libsodium `$7$` string
+ * @private
+ */
+export interface LibsodiumHash extends ScryptParams {
+  /** The encoded salt, which is directly used as the scrypt salt */
+  salt: string
+  hash: Uint8Array
+}
+
+/**
+ * Encodes the srcbits least significant bits of src, 6 bits per character, least significant first (encode64_uint32 in libsodium)
+ * @private
+ */
+const _encode64Uint32 = function (src: number, srcbits: number): string {
+  let str = ''
+  for (let bit = 0; bit < srcbits; bit += 6) {
+    str += ITOA64[src & 0x3f]
+    src >>>= 6
+  }
+  return str
+}
+
+/**
+ * Decodes a number encoded with _encode64Uint32() (decode64_uint32 in libsodium)
+ * @private
+ *
+ * @throws {RangeError} if str has invalid characters
+ */
+const _decode64Uint32 = function (str: string): number {
+  let value = 0
+  for (let i = 0; i < str.length; i++) {
+    const c = ITOA64.indexOf(str[i])
+    if (c === -1) throw new RangeError('invalid libsodium $7$ string')
+    value += c * 2 ** (6 * i)
+  }
+  return value
+}
+
+/**
+ * Encodes bytes in groups of 3, taken as little-endian integers (encode64 in libsodium)
+ * @private
+ */
+const _encode64 = function (bytes: Uint8Array): string {
+  let str = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    let value = 0
+    let bits = 0
+    for (let j = i; j < i + 3 && j < bytes.length; j++) {
+      value |= bytes[j] << bits
+      bits += 8
+    }
+    str += _encode64Uint32(value, bits)
+  }
+  return str
+}
+
+/**
+ * Decodes bytes encoded with _encode64() (decode64 in libsodium)
+ * @private
+ *
+ * @throws {RangeError} if str is not a valid encoding
+ */
+const _decode64 = function (str: string): Uint8Array {
+  if (str.length % 4 === 1) throw new RangeError('invalid libsodium $7$ string')
+  const bytes = new Uint8Array(Math.floor(str.length * 3 / 4))
+  let j = 0
+  for (let i = 0; i < str.length; i += 4) {
+    const chunk = str.slice(i, i + 4)
+    const value = _decode64Uint32(chunk)
+    for (let bits = 0; bits + 8 <= chunk.length * 6; bits += 8) {
+      bytes[j++] = (value >>> bits) & 0xff
+    }
+  }
+  return bytes
+}
+
+/**
+ * Returns the smallest n >= 1 such that 2^n > maxN / 2
+ * @private
+ */
+const _NLog2 = function (maxN: number): number {
+  let NLog2 = 1
+  while (NLog2 < 63 && 2 ** NLog2 <= Math.floor(maxN / 2)) NLog2++
+  return NLog2
+}
+
+/**
+ * Returns the scrypt parameters that libsodium uses for the given opslimit and memlimit (pickparams in libsodium)
+ *
+ * @param opslimit - maximum amount of computation
+ * @param memlimit - maximum amount of memory in octets
+ *
+ * @throws {RangeError} if opslimit or memlimit are not numbers >= 0
+ */
+const pickParams = function (opslimit: number, memlimit: number): ScryptParams {
+  if (!(opslimit >= 0) || !(memlimit >= 0)) throw new RangeError('opslimit and memlimit must be numbers >= 0')
+  opslimit = Math.max(Math.floor(opslimit), 32768)
+  const r = 8
+  if (opslimit < Math.floor(memlimit / 32)) {
+    const maxN = Math.floor(opslimit / (r * 4))
+    return { N: 2 ** _NLog2(maxN), r, p: 1 }
+  }
+  const maxN = Math.floor(memlimit / (r * 128))
+  const NLog2 = _NLog2(maxN)
+  const maxrp = Math.min(Math.floor(Math.floor(opslimit / 4) / 2 ** NLog2), 0x3fffffff)
+  return { N: 2 ** NLog2, r, p: Math.floor(maxrp / r) }
+}
+
+/**
+ * Returns the `$7$` prefix with the encoded parameters and salt (the setting in libsodium)
+ * @private
+ */
+const _libsodiumSetting = function (scryptParams: ScryptParams, encodedSalt: string): string {
+  return '$7$' + ITOA64[Math.log2(scryptParams.N)] + _encode64Uint32(scryptParams.r, 30) + _encode64Uint32(scryptParams.p, 30) + encodedSalt
+}
+
+/**
+ * Encodes scrypt parameters, salt and derived key as a libsodium `$7$` string
+ * @private
+ */
+const _libsodiumEncode = function (libsodiumHash: LibsodiumHash): string {
+  return _libsodiumSetting(libsodiumHash, libsodiumHash.salt) + '$' + _encode64(libsodiumHash.hash)
+}
+
+/**
+ * Parses a libsodium `$7$` string
+ * @private
+ *
+ * @throws {RangeError} if str is not a valid libsodium `$7$` string
+ */
+const _libsodiumDecode = function (str: string): LibsodiumHash {
+  const match = /^\$7\$([./0-9A-Za-z])([./0-9A-Za-z]{5})([./0-9A-Za-z]{5})([^$]*)\$([./0-9A-Za-z]{43})$/.exec(str)
+  if (match === null) throw new RangeError('invalid libsodium $7$ string')
+  return {
+    N: 2 ** ITOA64.indexOf(match[1]),
+    r: _decode64Uint32(match[2]),
+    p: _decode64Uint32(match[3]),
+    salt: match[4],
+    hash: _decode64(match[5])
+  }
+}
+
+/**
+ * Derives a key from a password as libsodium's crypto_pwhash_scryptsalsa208sha256_str() does, and returns it as a
+ * `$7$` string: scrypt with a random 32-byte salt and a 32-byte derived key, and the parameters picked from opslimit and memlimit
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - opslimit and memlimit (or the scrypt parameters), and any option accepted by scrypt()
+ *
+ * @returns the `$7$` string, which can be checked with libsodiumScrypt.verify() or with libsodium's crypto_pwhash_scryptsalsa208sha256_str_verify()
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: LibsodiumHashOptions = {}): Promise<string> {
+  const { opslimit = OPSLIMIT_INTERACTIVE, memlimit = MEMLIMIT_INTERACTIVE, scryptParams = pickParams(opslimit, memlimit), ...scryptOptions } = options
+  const { N, r, p } = scryptParams
+  if (!(N <= 2 ** 63) || !(r < 2 ** 30) || !(p < 2 ** 30)) throw new RangeError('the $7$ format requires N <= 2^63, r < 2^30 and p < 2^30')
+  const encodedSalt = _encode64(new Uint8Array(salt(32)))
+  const DK = await scrypt(password, encodedSalt, 32, { N, r, p }, scryptOptions)
+  return _libsodiumEncode({ N, r, p, salt: encodedSalt, hash: new Uint8Array(DK) })
+}
+
+/**
+ * Checks a password against a libsodium `$7$` string, as crypto_pwhash_scryptsalsa208sha256_str_verify() does
+ *
+ * @param str - a `$7$` string
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if str is not a valid libsodium `$7$` string
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (str: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { N, r, p, salt: encodedSalt, hash: expected } = _libsodiumDecode(str)
+  const DK = await scrypt(password, encodedSalt, 32, { N, r, p }, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Checks whether a `$7$` string was computed with parameters other than the ones libsodium picks for opslimit and
+ * memlimit, as crypto_pwhash_scryptsalsa208sha256_str_needs_rehash() does
+ *
+ * @param str - a `$7$` string
+ * @param opslimit - maximum amount of computation. Defaults to OPSLIMIT_INTERACTIVE
+ * @param memlimit - maximum amount of memory in octets. Defaults to MEMLIMIT_INTERACTIVE
+ *
+ * @throws {RangeError} if str is not a valid libsodium `$7$` string
+ */
+const needsRehash = function (str: string, opslimit: number = OPSLIMIT_INTERACTIVE, memlimit: number = MEMLIMIT_INTERACTIVE): boolean {
+  const { N, r, p } = _libsodiumDecode(str)
+  const policy = pickParams(opslimit, memlimit)
+  return N !== policy.N || r !== policy.r || p !== policy.p
+}
+
+/**
+ * Compatibility with libsodium's crypto_pwhash_scryptsalsa208sha256 `$7$` strings
+ */
+const libsodiumScrypt = {
+  hash,
+  verify,
+  needsRehash,
+  pickParams,
+  OPSLIMIT_INTERACTIVE,
+  MEMLIMIT_INTERACTIVE,
+  OPSLIMIT_SENSITIVE,
+  MEMLIMIT_SENSITIVE
+}
+
+export { libsodiumScrypt, _libsodiumEncode, _libsodiumDecode }
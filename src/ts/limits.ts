@@ -0,0 +1,115 @@
+import { ScryptLimitError } from './errors'
+
+/**
+ * Limits for the scrypt parameters, which protect against derivations exhausting the memory or the CPU, e.g. when
+ * checking a password against a stored hash that an attacker could have tampered with
+ */
+export interface ScryptLimits {
+  /** Maximum memory in octets that a derivation can allocate for B and the tables V (see scrypt()) */
+  maxMemory?: number
+  /** Maximum N */
+  maxN?: number
+  /** Maximum r */
+  maxR?: number
+  /** Maximum p */
+  maxP?: number
+  /** Maximum length in octets of the derived key */
+  maxDkLen?: number
+}
+
+/**
+ * The default limits: 2 GiB of memory, N <= 2^24, p <= 256 and dkLen <= 65536. r is only limited by the memory.
+ */
+export const defaultScryptLimits: Readonly<Required<ScryptLimits>> = Object.freeze({
+  maxMemory: 2147483648,
+  maxN: 16777216,
+  maxR: Infinity,
+  maxP: 256,
+  maxDkLen: 65536
+})
+
+let globalLimits: Required<ScryptLimits> = { ...defaultScryptLimits }
+
+/**
+ * Returns the limits in base overridden by the ones in limits. Limits set to undefined do not override the ones in base.
+ * @private
+ *
+ * @throws {RangeError} if any limit in limits is not a positive number
+ */
+const _mergeScryptLimits = function (base: Required<ScryptLimits>, limits: ScryptLimits): Required<ScryptLimits> {
+  const merged = { ...base }
+  for (const [name, limit] of Object.entries(limits) as Array<[keyof ScryptLimits, number | undefined]>) {
+    if (limit === undefined) continue
+    if (!(limit > 0)) throw new RangeError(`${name} must be a positive number`)
+    merged[name] = limit
+  }
+  return merged
+}
+
+/**
+ * Sets the global policy: the limits for the scrypt parameters used by every function of this package unless others
+ * are passed in options.limits. Parameters exceeding them are rejected with a ScryptLimitError before any memory is allocated.
+ *
+ * @param limits - the new limits. The ones not provided (or undefined) are set to the default ones (see defaultScryptLimits)
+ *
+ * @throws {RangeError} if any limit is not a positive number
+ */
+const setScryptLimits = function (limits: ScryptLimits = {}): void {
+  globalLimits = _mergeScryptLimits(defaultScryptLimits, limits)
+}
+
+/**
+ * Returns the limits of the global policy (see setScryptLimits())
+ */
+const getScryptLimits = function (): Required<ScryptLimits> {
+  return { ...globalLimits }
+}
+
+/**
+ * The values checked against the limits
+ * @private
+ */
+interface ScryptLimitedValues {
+  N?: number
+  r?: number
+  p?: number
+  dkLen?: number
+  memory?: number
+}
+
+/**
+ * Returns the limits of the global policy overridden by the ones in limits (the ones set to undefined do not override them)
+ * @private
+ *
+ * @throws {RangeError} if any limit in limits is not a positive number
+ */
+const _effectiveScryptLimits = function (limits: ScryptLimits = {}): Required<ScryptLimits> {
+  return _mergeScryptLimits(globalLimits, limits)
+}
+
+/**
+ * Checks values against limits, which take precedence over the ones of the global policy
+ * @private
+ *
+ * @throws {RangeError} if any limit in limits is not a positive number
+ * @throws {ScryptLimitError} if any value exceeds its limit
+ */
+const _checkScryptLimits = function (values: ScryptLimitedValues, limits: ScryptLimits = {}): void {
+  const { maxMemory, maxN, maxR, maxP, maxDkLen } = _effectiveScryptLimits(limits)
+  const { N, r, p, dkLen, memory } = values
+  if (N !== undefined && N > maxN) throw new ScryptLimitError('N', N, maxN)
+  if (r !== undefined && r > maxR) throw new ScryptLimitError('r', r, maxR)
+  if (p !== undefined && p > maxP) throw new ScryptLimitError('p', p, maxP)
+  if (dkLen !== undefined && dkLen > maxDkLen) throw new ScryptLimitError('dkLen', dkLen, maxDkLen)
+  if (memory !== undefined && memory > maxMemory) throw new ScryptLimitError('memory', memory, maxMemory)
+}
+
+/**
+ * Returns the maximum memory of the global policy, or the one in limits if provided
+ * @private
+ */
+const _maxMemory = function (limits: ScryptLimits = {}): number {
+  return _effectiveScryptLimits(limits).maxMemory
+}
+
+export { setScryptLimits, getScryptLimits, _checkScryptLimits, _effectiveScryptLimits, _maxMemory }
@@ -0,0 +1,112 @@
+import { AbortError } from './errors'
+
+interface PendingDerivation {
+  run: () => void
+}
+
+const queue: PendingDerivation[] = []
+let running = 0
+let maxConcurrency: number | undefined
+
+/**
+ * Returns the default maximum number of concurrent native derivations: the size of the libuv threadpool minus one, so that
+ * at least one thread is always left for other asynchronous tasks (fs, dns, zlib...)
+ * @private
+ */
+const _defaultConcurrency = function (): number {
+  const threadpoolSize = parseInt(process.env.UV_THREADPOOL_SIZE as string, 10)
+  return Math.max(1, ((threadpoolSize > 0) ? threadpoolSize : 4) - 1)
+}
+
+/**
+ * Sets the maximum number of native scrypt derivations (Node.js `crypto.scrypt`) that can run concurrently in the libuv threadpool.
+ * Further derivations are queued until a running one finishes. It prevents a burst of derivations from filling the
+ * threadpool, which is shared with other asynchronous tasks such as fs, dns or zlib.
+ *
+ * By default it is the size of the libuv threadpool (environment variable `UV_THREADPOOL_SIZE`, 4 if not set) minus one.
+ * It has no effect in browsers.
+ *
+ * @param limit - a positive integer with the maximum number of concurrent native derivations
+ * @throws {RangeError} limit must be a positive integer
+ */
+const setNativeConcurrency = function (limit: number): void {
+  if (!Number.isInteger(limit) || limit <= 0) throw new RangeError('limit must be a positive integer')
+  maxConcurrency = limit
+  _next()
+}
+
+/**
+ * Returns the maximum number of concurrent native derivations (see setNativeConcurrency())
+ */
+const getNativeConcurrency = function (): number {
+  if (maxConcurrency === undefined) maxConcurrency = _defaultConcurrency()
+  return maxConcurrency
+}
+
+/**
+ * Starts queued derivations while the concurrency limit allows it
+ * @private
+ */
+const _next = function (): void {
+  if (maxConcurrency === undefined) maxConcurrency = _defaultConcurrency()
+  while (running < maxConcurrency) {
+    const derivation = queue.shift()
+    if (derivation === undefined) return
+    running++
+    derivation.run()
+  }
+}
+
+/**
+ * Derives a key with the non-blocking Node.js `crypto.scrypt`, which runs in the libuv threadpool.
+ * @private
+ *
+ * @param maxMemory - the maximum memory in octets that OpenSSL can allocate (maxmem)
+ * @param signal - an optional AbortSignal. A queued derivation is removed from the queue when aborted. A derivation
+ *                 that is already running in the threadpool cannot be stopped, but the promise is rejected at once and
+ *                 its result discarded.
+ *
+ * @returns a derived key of dKLen bytes
+ */
+const nativeScrypt = async function (P: ArrayBufferView, S: ArrayBufferView, dkLen: number, N: number, r: number, p: number, maxMemory: number, signal?: AbortSignal): Promise<ArrayBuffer> {
+  if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
+
+  return await new Promise((resolve, reject) => {
+    let settled = false
+    const onabort = function (): void {
+      const index = queue.indexOf(derivation)
+      if (index !== -1) queue.splice(index, 1)
+      settle(new AbortError())
+    }
+    const settle = function (error: Error | null, key?: ArrayBuffer): void {
+      if (settled) return
+      settled = true
+      if (signal !== undefined) signal.removeEventListener('abort', onabort)
+      if (error !== null) reject(error)
+      else resolve(key as ArrayBuffer)
+    }
+    const derivation: PendingDerivation = {
+      run: function () {
+        const done = function (error: Error | null, derivedKey?: Uint8Array): void {
+          running--
+          _next()
+          if (error !== null) settle(error)
+          else {
+            const key = derivedKey as Uint8Array
+            settle(null, key.buffer.slice(key.byteOffset, key.byteOffset + key.byteLength))
+          }
+        }
+        try {
+          require('crypto').scrypt(P, S, dkLen, { N, r, p, maxmem: Math.min(maxMemory, Number.MAX_SAFE_INTEGER) }, done) // eslint-disable-line
+        } catch (error) { // invalid or unsupported parameters are thrown synchronously
+          done(error)
+        }
+      }
+    }
+    if (signal !== undefined) signal.addEventListener('abort', onabort)
+    queue.push(derivation)
+    _next()
+  })
+}
+
+export { nativeScrypt, setNativeConcurrency, getNativeConcurrency }
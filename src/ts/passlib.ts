@@ -0,0 +1,121 @@
+import { scrypt, ScryptOptions, ScryptParams } from './scrypt'
+import { salt } from './salt'
+import { _phcDecode, _phcEncode, PhcHash } from './phc'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/** passlib's scrypt defaults: rounds=16 (N=2^16), block_size=8 and parallelism=1 */
+const PASSLIB_SCRYPT_PARAMS: Readonly<ScryptParams> = Object.freeze({ N: 65536, r: 8, p: 1 })
+/** passlib's default_salt_size for scrypt */
+const PASSLIB_SALT_LENGTH = 16
+/** passlib's checksum_size for scrypt. It is fixed: passlib rejects hashes with a checksum of any other length */
+const PASSLIB_DKLEN = 32
+
+/**
+ * Options for passlibScrypt.hash()
+ */
+export interface PasslibHashOptions extends ScryptOptions {
+  /** scrypt parameters. The ones not provided default to passlib's: N=65536 (ln=16), r=8, p=1 */
+  scryptParams?: Partial<ScryptParams>
+  /** Length in octets of the random salt. Defaults to 16, as in passlib */
+  saltLength?: number
+}
+
+/**
+ * The parameters a passlib scrypt hash should have. The ones not provided default to passlib's:
+ * N=65536 (ln=16), r=8, p=1 and a 16-byte salt
+ */
+export interface PasslibRehashPolicy extends Partial<ScryptParams> {
+  /** Length in octets of the salt */
+  saltLength?: number
+}
+
+/**
+ * Parses a passlib scrypt hash. passlib encodes salt and checksum in base64 without padding, so its hashes are
+ * scrypt PHC strings with a 32-byte derived key.
+ * @private
+ *
+ * @throws {RangeError} if encoded is not a valid passlib scrypt hash
+ */
+const _passlibDecode = function (encoded: string): PhcHash {
+  const decoded = _phcDecode(encoded)
+  if (decoded.hash.length !== PASSLIB_DKLEN) throw new RangeError(`invalid passlib scrypt hash: the checksum must be ${PASSLIB_DKLEN} bytes long`)
+  return decoded
+}
+
+/**
+ * Derives a key from a password as passlib's scrypt handler does (a random 16-byte salt and a 32-byte key) and
+ * returns it encoded as passlib does: `$scrypt$ln=<log2(N)>,r=<r>,p=<p>$<salt>$<checksum>`
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - the scrypt parameters and the salt length (passlib's defaults if not provided), and any option accepted by scrypt()
+ *
+ * @returns the encoded password hash, which can be checked with passlibScrypt.verify() or passlib
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: PasslibHashOptions = {}): Promise<string> {
+  const { scryptParams = {}, saltLength = PASSLIB_SALT_LENGTH, ...scryptOptions } = options
+  const params = { ...PASSLIB_SCRYPT_PARAMS, ...scryptParams }
+  const S = new Uint8Array(salt(saltLength))
+  const DK = await scrypt(password, S, PASSLIB_DKLEN, params, scryptOptions)
+  return _phcEncode({ ...params, salt: S, hash: new Uint8Array(DK) })
+}
+
+/**
+ * Checks a password against a passlib scrypt hash, as passlib's scrypt.verify() does
+ *
+ * @param encoded - a passlib scrypt hash: `$scrypt$ln=<log2(N)>,r=<r>,p=<p>$<salt>$<checksum>`
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if encoded is not a valid passlib scrypt hash
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { N, r, p, salt: S, hash: expected } = _passlibDecode(encoded)
+  const DK = await scrypt(password, S, PASSLIB_DKLEN, { N, r, p }, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Checks whether a passlib scrypt hash was computed with parameters other than the ones in policy
+ *
+ * @param encoded - a passlib scrypt hash
+ * @param policy - the N, r, p and salt length the hash should have. Defaults to passlib's
+ *
+ * @throws {RangeError} if encoded is not a valid passlib scrypt hash
+ */
+const needsRehash = function (encoded: string, policy: PasslibRehashPolicy = {}): boolean {
+  const { N, r, p, salt } = _passlibDecode(encoded)
+  const {
+    N: policyN = PASSLIB_SCRYPT_PARAMS.N,
+    r: policyR = PASSLIB_SCRYPT_PARAMS.r,
+    p: policyP = PASSLIB_SCRYPT_PARAMS.p,
+    saltLength = PASSLIB_SALT_LENGTH
+  } = policy
+  return N !== policyN || r !== policyR || p !== policyP || salt.length !== saltLength
+}
+
+/**
+ * Checks whether a passlib scrypt hash was computed with parameters weaker than passlib's defaults: a lower N, r or p,
+ * or a shorter salt. verifyAny() uses it instead of needsRehash(), since the PHC strings created by hash() are
+ * detected as passlib hashes too, and their stronger parameters must not ask for a rehash.
+ * @private
+ *
+ * @throws {RangeError} if encoded is not a valid passlib scrypt hash
+ */
+const _passlibWeakerThanDefaults = function (encoded: string): boolean {
+  const { N, r, p, salt } = _passlibDecode(encoded)
+  return N < PASSLIB_SCRYPT_PARAMS.N || r < PASSLIB_SCRYPT_PARAMS.r || p < PASSLIB_SCRYPT_PARAMS.p || salt.length < PASSLIB_SALT_LENGTH
+}
+
+/**
+ * Compatibility with the `$scrypt$` hashes of passlib's scrypt handler
+ */
+const passlibScrypt = {
+  hash,
+  verify,
+  needsRehash
+}
+
+export { passlibScrypt, _passlibDecode, _passlibWeakerThanDefaults }
@@ -0,0 +1,136 @@
+import { scrypt, defaultScryptParams, ScryptOptions, ScryptParams } from './scrypt'
+import { salt } from './salt'
+import { _base64Decode, _base64Encode } from './base64'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+import { ScryptPresetName, _presetParams } from './presets'
+
+/**
+ * Options for hash()
+ */
+export interface HashOptions extends ScryptOptions {
+  /** scrypt configuration parameters, or the name of one of the presets (e.g. `'interactive'`). The ones not provided default to N=131072, r=8, p=1 (as in scrypt()) */
+  scryptParams?: Partial<ScryptParams> | ScryptPresetName
+  /** Length in octets of the random salt. Defaults to 16 */
+  saltLength?: number
+  /** Length in octets of the derived key stored in the hash. Defaults to 32 */
+  dkLen?: number
+}
+
+/**
+ * The parameters a stored hash should have. The ones not provided default to the ones used by hash():
+ * N=131072, r=8, p=1, a 16-byte salt and a 32-byte derived key
+ */
+export interface RehashPolicy extends Partial<ScryptParams> {
+  /** Length in octets of the salt */
+  saltLength?: number
+  /** Length in octets of the derived key */
+  dkLen?: number
+}
+
+/** Default length in octets of the salt created by hash() */
+const DEFAULT_SALT_LENGTH = 16
+/** Default length in octets of the derived key in hash() */
+const DEFAULT_DKLEN = 32
+
+/**
+ * The contents of a PHC string
+ * @private
+ */
+export interface PhcHash extends ScryptParams {
+  salt: Uint8Array
+  hash: Uint8Array
+}
+
+/**
+ * Encodes scrypt parameters, salt and derived key as a PHC string: `$scrypt$ln=<log2(N)>,r=<r>,p=<p>$<salt>$<hash>`,
+ * where salt and hash are encoded in base64 without padding
+ * @private
+ */
+const _phcEncode = function (phcHash: PhcHash): string {
+  const ln = Math.log2(phcHash.N)
+  return `$scrypt$ln=${ln},r=${phcHash.r},p=${phcHash.p}$${_base64Encode(phcHash.salt)}$${_base64Encode(phcHash.hash)}`
+}
+
+/**
+ * Parses a PHC string created with _phcEncode()
+ * @private
+ *
+ * @throws {RangeError} if phc is not a valid scrypt PHC string
+ */
+const _phcDecode = function (phc: string): PhcHash {
+  const match = /^\$scrypt\$ln=(\d{1,2}),r=(\d{1,10}),p=(\d{1,10})\$([A-Za-z0-9+/]*)\$([A-Za-z0-9+/]+)$/.exec(phc)
+  if (match === null) throw new RangeError('invalid scrypt PHC string')
+  return {
+    N: 2 ** parseInt(match[1]),
+    r: parseInt(match[2]),
+    p: parseInt(match[3]),
+    salt: _base64Decode(match[4]),
+    hash: _base64Decode(match[5])
+  }
+}
+
+/**
+ * Derives a key from a password with scrypt and a random salt, and returns it encoded, along with the salt and the
+ * scrypt parameters, as a PHC string, e.g. `$scrypt$ln=17,r=8,p=1$<b64salt>$<b64hash>`
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - the scrypt parameters (or a preset), the length of the salt and derived key, and any option accepted by scrypt()
+ *
+ * @throws {RangeError} if options.scryptParams is the name of an unknown preset
+ *
+ * @returns the PHC string, which can be checked with verify()
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: HashOptions = {}): Promise<string> {
+  const { scryptParams = {}, saltLength = DEFAULT_SALT_LENGTH, dkLen = DEFAULT_DKLEN, ...scryptOptions } = options
+  const params = { ...defaultScryptParams, ...(typeof scryptParams === 'string' ? _presetParams(scryptParams) : scryptParams) }
+  const S = new Uint8Array(salt(saltLength))
+  const DK = await scrypt(password, S, dkLen, params, scryptOptions)
+  return _phcEncode({ ...params, salt: S, hash: new Uint8Array(DK) })
+}
+
+/**
+ * Checks a password against a PHC string created with hash(). The key is derived again with the salt and scrypt
+ * parameters in the PHC string, and it is compared in constant time with the one in it.
+ *
+ * @param phc - a PHC string, e.g. `$scrypt$ln=17,r=8,p=1$<b64salt>$<b64hash>`
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if phc is not a valid scrypt PHC string
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (phc: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { N, r, p, salt: S, hash: expected } = _phcDecode(phc)
+  const DK = await scrypt(password, S, expected.length, { N, r, p }, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Checks whether a PHC string created with hash() was computed with parameters other than the ones in policy, so
+ * that it should be computed again (e.g. right after a successful verify(), when the password is known). It is meant
+ * for upgrading the stored hashes when the parameters are raised.
+ *
+ * @param phc - a PHC string, e.g. `$scrypt$ln=17,r=8,p=1$<b64salt>$<b64hash>`
+ * @param policy - the N, r, p, salt length and derived key length the hash should have, or the name of one of the
+ * presets (e.g. `'interactive'`) whose N, r and p it should have. Defaults to the ones used by hash()
+ *
+ * @throws {RangeError} if phc is not a valid scrypt PHC string, or if policy is the name of an unknown preset
+ *
+ * @returns true if N, r, p, the length of the salt or the length of the derived key differ from the ones in policy
+ */
+const needsRehash = function (phc: string, policy: RehashPolicy | ScryptPresetName = {}): boolean {
+  const { N, r, p, salt, hash } = _phcDecode(phc)
+  if (typeof policy === 'string') policy = _presetParams(policy)
+  const {
+    N: policyN = defaultScryptParams.N,
+    r: policyR = defaultScryptParams.r,
+    p: policyP = defaultScryptParams.p,
+    saltLength = DEFAULT_SALT_LENGTH,
+    dkLen = DEFAULT_DKLEN
+  } = policy
+  return N !== policyN || r !== policyR || p !== policyP || salt.length !== saltLength || hash.length !== dkLen
+}
+
+export { hash, verify, needsRehash, _phcEncode, _phcDecode }
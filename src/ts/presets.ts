@@ -0,0 +1,52 @@
+import { ScryptParams } from './scrypt'
+
+/**
+ * A named set of scrypt parameters
+ */
+export interface ScryptPreset extends ScryptParams {
+  /** The version of the preset. It is increased every time its parameters change, so that stored hashes computed with older ones need a rehash (e.g. `needsRehash(phc, 'interactive')` is true) */
+  version: number
+  /** Memory in octets of a derivation computing one lane at a time: 128 * r * N octets for the table V plus 128 * r * p octets for B */
+  memory: number
+}
+
+/**
+ * The names of the presets
+ */
+export type ScryptPresetName = 'interactive' | 'sensitive' | 'fileEncryption' | 'rfc7914Interactive2009' | 'owasp2023'
+
+const preset = function (version: number, N: number, r: number, p: number): Readonly<ScryptPreset> {
+  return Object.freeze({ version, N, r, p, memory: 128 * r * (N + p) })
+}
+
+/**
+ * Named scrypt parameters, which scrypt() and hash() accept by name:
+ * - `interactive` (version 1): N=2^17, r=8, p=1 (128 MiB + 1 KiB). For interactive logins. It is the default of scrypt() and the minimum recommended by OWASP in 2023.
+ * - `sensitive` (version 1): N=2^18, r=8, p=1 (256 MiB + 1 KiB). For logins protecting sensitive data, when a longer wait (about twice as long as with `interactive`) is acceptable.
+ * - `fileEncryption` (version 1): N=2^20, r=8, p=1 (1 GiB + 1 KiB). For deriving file-encryption keys, as recommended in the scrypt paper. It takes seconds.
+ * - `rfc7914Interactive2009`: N=2^14, r=8, p=1 (16 MiB + 1 KiB). The parameters recommended for interactive logins in 2009 in the scrypt paper, used in the test vectors of RFC 7914 §12 and as libsodium's interactive limits. Only for compatibility with existing hashes.
+ * - `owasp2023`: N=2^17, r=8, p=1 (128 MiB + 1 KiB). The minimum recommended in the OWASP Password Storage Cheat Sheet in 2023.
+ *
+ * The parameters of `interactive`, `sensitive` and `fileEncryption` will be raised (along with their version) as hardware gets faster. The ones named after a year never change.
+ */
+export const presets: Readonly<Record<ScryptPresetName, Readonly<ScryptPreset>>> = Object.freeze({
+  interactive: preset(1, 131072, 8, 1),
+  sensitive: preset(1, 262144, 8, 1),
+  fileEncryption: preset(1, 1048576, 8, 1),
+  rfc7914Interactive2009: preset(1, 16384, 8, 1),
+  owasp2023: preset(1, 131072, 8, 1)
+})
+
+/**
+ * Returns the parameters of a preset
+ * @private
+ *
+ * @throws {RangeError} if name is not the name of a preset
+ */
+const _presetParams = function (name: string): ScryptParams {
+  if (!Object.prototype.hasOwnProperty.call(presets, name)) throw new RangeError(`unknown scrypt preset '${name}'. It must be one of ${Object.keys(presets).join(', ')}`)
+  const { N, r, p } = presets[name as ScryptPresetName]
+  return { N, r, p }
+}
+
+export { _presetParams }
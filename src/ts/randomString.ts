@@ -0,0 +1,22 @@
+import { salt } from './salt'
+
+/**
+ * Returns a cryptographically secure random string of the given length, with characters uniformly chosen from chars
+ * @private
+ *
+ * @param length - the length of the string
+ * @param chars - the characters that can be used (at most 256)
+ */
+const _randomString = function (length: number, chars: string): string {
+  // Bytes >= limit are discarded, so that every character has the same probability
+  const limit = 256 - (256 % chars.length)
+  let str = ''
+  while (str.length < length) {
+    for (const byte of new Uint8Array(salt(length - str.length))) {
+      if (byte < limit) str += chars[byte % chars.length]
+    }
+  }
+  return str
+}
+
+export { _randomString }
@@ -1,20 +1,22 @@
+import { ScryptParameterError } from './errors'
+import { _loadWords, _storeWords } from './endianness'
+
 /**
- * Salsa20/8 Core is a round-reduced variant of the Salsa20 Core.  It is a
- * hash function from 64-octet strings to 64-octet strings.  Note that
- * Salsa20/8 Core is not a cryptographic hash function since it is not
- * collision resistant.
- *
- * This function modifies the ArrayBuffer of the input UInt32Array
+ * Salsa20/8 Core computed with a caller-provided scratch array, so that no memory is allocated. It is the hot loop
+ * of scrypt, so the same scratch array should be reused for all the calls.
+ * @private
  *
- * @param arr - a binary array of 64 octets
- *
-  */
-const salsa208Core = function (arr: Uint32Array): void {
+ * @param arr - a binary array of 64 octets, which is overwritten with the result
+ * @param x - a scratch array of 16 words
+ */
+const _salsa208Core = function (arr: Uint32Array, x: Uint32Array): void {
   function R (a: number, b: number): number {
     return (a << b) | (a >>> (32 - b))
   }
 
-  const x = arr.slice(0)
+  for (let i = 0; i < 16; i++) {
+    x[i] = arr[i]
+  }
   for (let i = 8; i > 0; i -= 2) {
     x[4] ^= R(x[0] + x[12], 7)
     x[8] ^= R(x[4] + x[0], 9)
@@ -55,4 +57,24 @@ const salsa208Core = function (arr: Uint32Array): void {
   }
 }
 
-export { salsa208Core }
+/**
+ * Salsa20/8 Core is a round-reduced variant of the Salsa20 Core.  It is a
+ * hash function from 64-octet strings to 64-octet strings.  Note that
+ * Salsa20/8 Core is not a cryptographic hash function since it is not
+ * collision resistant.
+ *
+ * This function modifies the ArrayBuffer of the input UInt32Array
+ *
+ * @param arr - a binary array of 64 octets
+ *
+ * @throws {ScryptParameterError} if arr is not a Uint32Array of 64 octets
+  */
+const salsa208Core = function (arr: Uint32Array): void {
+  if (Object.prototype.toString.call(arr) !== '[object Uint32Array]') throw new ScryptParameterError('arr', 'ERR_SCRYPT_INVALID_TYPE', 'arr must be a Uint32Array')
+  if (arr.length !== 16) throw new ScryptParameterError('arr', 'ERR_SCRYPT_INVALID_LENGTH', 'arr must be 64 octets long')
+  const x = _loadWords(arr)
+  _salsa208Core(x, new Uint32Array(16))
+  _storeWords(x, arr)
+}
+
+export { salsa208Core, _salsa208Core }
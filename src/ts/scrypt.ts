@@ -1,6 +1,14 @@
-import { scryptROMix } from './scryptRomMix'
+import { nativeScrypt } from './nativeScrypt'
+import { scryptROMixLanes, _scryptROMixLanesMemory } from './scryptWorkers'
+import { ScryptROMixBackend } from './scryptRomMix'
 import pbkdf2Hmac from 'pbkdf2-hmac'
 import { TypedArray } from './shared-types'
+import { AbortError, ScryptParameterError } from './errors'
+import { _scryptWasm } from './scryptWasm'
+import { ScryptLimits, _checkScryptLimits, _maxMemory } from './limits'
+import { ScryptPresetName, _presetParams } from './presets'
+import { validateScryptParams, _validateDkLen } from './validate'
+import { _loadWords, _wordsToOctets } from './endianness'
 
 /**
  * scrypt configuration parameters
@@ -14,67 +22,173 @@ export interface ScryptParams {
   p: number
 }
 
+/**
+ * The scrypt parameters used when they are not provided: N=131072, r=8, p=1
+ */
+export const defaultScryptParams: Readonly<ScryptParams> = Object.freeze({ N: 131072, r: 8, p: 1 })
+
+/**
+ * scrypt implementation to use:
+ * - `'native'`: Node.js `crypto.scrypt`. It is only available in Node.js.
+ * - `'wasm-simd'`: the implementation in this package with the scryptROMix core in WebAssembly with 128-bit SIMD instructions.
+ * - `'wasm'`: the implementation in this package with the scryptROMix core in WebAssembly without SIMD.
+ * - `'js'`: the implementation in this package with the scryptROMix core in plain JS.
+ * - `'auto'`: `'native'` in Node.js (unless its scrypt is not supported, e.g. in some FIPS builds), and the fastest of `'wasm-simd'`, `'wasm'` and `'js'` available otherwise.
+ *
+ * With any backend but `'native'`, the p lanes of scryptROMix are computed in parallel in Web Workers (browsers) or worker_threads (Node.js).
+ */
+export type ScryptBackend = 'native' | 'wasm-simd' | 'wasm' | 'js' | 'auto'
+
+/**
+ * Options for the scrypt() function that do not affect the derived key
+ */
+export interface ScryptOptions {
+  /** The scrypt implementation to use. Defaults to `'auto'`. */
+  backend?: ScryptBackend
+  /**
+   * Time-memory tradeoff (TMTO) factor k for devices with little memory: only every k-th entry of the table V of every
+   * scryptROMix lane is stored, dividing by k the memory it needs (128 * r * N octets per lane without TMTO). The derived
+   * key is exactly the same, but scryptROMix has to do (2 + (k - 1) / 2) * N BlockMix instead of 2 * N, so it takes 25%
+   * more time for k = 2, 75% for k = 4, 175% for k = 8... Use `'auto'` to choose the smallest k that fits V in memoryBudget.
+   * Defaults to 1 (no TMTO). It is not supported by the native backend, so `'auto'` does not use it if tmto is set.
+   */
+  tmto?: number | 'auto'
+  /** Maximum size in octets of the table V of every lane when tmto is `'auto'` */
+  memoryBudget?: number
+  /**
+   * An AbortSignal to cancel the derivation, in which case the returned promise is rejected with an AbortError.
+   * With the JS and WebAssembly backends, the workers computing the lanes are terminated. With the native backend, a derivation that is
+   * still queued never starts, but one already running in the libuv threadpool cannot be stopped (its result is just discarded).
+   */
+  signal?: AbortSignal
+  /**
+   * A callback that receives the progress of the derivation as a fraction from 0 to 1. It is computed as the fraction of
+   * the 2 * N BlockMix iterations already done, combined across the p lanes of scryptROMix, and it is always called with 1
+   * when the derivation finishes. The native backend cannot report its progress, so it only reports 0 and 1.
+   */
+  onProgress?: (fraction: number) => void
+  /** Minimum time in milliseconds between two consecutive calls to onProgress. Defaults to 100. */
+  progressInterval?: number
+  /**
+   * If true, the JS and WebAssembly backends do not use workers. Instead, the p lanes are computed one after another in the main thread
+   * in time slices of about sliceMs milliseconds, yielding to the event loop between slices. It is meant for environments
+   * where workers are not allowed (e.g. some embedded webviews), so that the UI is not frozen during the derivation.
+   * The derived key is exactly the same. It has no effect on the native backend.
+   */
+  cooperative?: boolean
+  /** Approximate duration in milliseconds of every slice of computation in cooperative mode. Defaults to 16 (about one frame at 60 fps). */
+  sliceMs?: number
+  /**
+   * Limits for N, r, p, dkLen and the memory of the derivation, which are checked before allocating anything. The memory
+   * is 128 * r * (N + 2 + p) octets with the native backend (as OpenSSL computes it), and 128 * r * p octets for B plus
+   * 128 * r * ceil(N / k) octets for the table V of every lane computed at the same time with the other ones. The limits
+   * not provided are the ones of the global policy (see setScryptLimits()).
+   */
+  limits?: ScryptLimits
+}
+
+/**
+ * Whether scrypt() uses the native backend (Node.js `crypto.scrypt`) with these options
+ * @private
+ */
+const _useNative = function (options: ScryptOptions): boolean {
+  const backend = (options.backend !== undefined) ? options.backend : 'auto'
+  return !IS_BROWSER && (backend === 'native' || (backend === 'auto' && (options.tmto === undefined || options.tmto === 1)))
+}
+
+/**
+ * Returns the memory in octets that scrypt() allocates with these parameters and options, which is checked against
+ * the limits: 128 * r * (N + 2 + p) octets with the native backend (as OpenSSL computes it), and the memory of B and
+ * the tables V of the lanes computed at the same time otherwise
+ * @private
+ */
+const _scryptMemory = function (N: number, r: number, p: number, options: ScryptOptions = {}): number {
+  if (_useNative(options)) return 128 * r * (N + 2 + p)
+  return _scryptROMixLanesMemory(N, r, p, { tmto: options.tmto, memoryBudget: options.memoryBudget, cooperative: options.cooperative })
+}
+
 /**
  * The scrypt Algorithm (RFC 7914)
  *
  * @param P - A unicode string with a passphrase.
  * @param S - A salt. This should be a random or pseudo-random value of at least 16 bytes. You can easily get one with crypto.getRandomValues(new Uint8Array(16)) in browser's JS or with crypto.randomBytes(16).buffer in Node.js
  * @param dkLen - Intended output length in octets of the derived key; a positive integer less than or equal to (2^32 - 1) * hLen where hLen is 32.
- * @param scryptParams - scrypt configuration parameters: N, p, r
+ * @param scryptParams - scrypt configuration parameters: N, p, r, or the name of one of the presets (e.g. `'interactive'`)
+ * @param options - options that do not affect the derived key, such as the backend implementation
+ *
+ * @throws {RangeError} if scryptParams is the name of an unknown preset, or if the options are not valid
+ * @throws {ScryptParameterError} if P, S, dkLen, N, r or p are not valid (see validateScryptParams())
+ * @throws {ScryptLimitError} if the parameters exceed the limits in options.limits or the global policy
+ * @throws {AbortError} if options.signal is aborted before the derivation finishes
  *
  * @returns {ArrayBuffer} - a derived key of dKLen bytes
  */
-const scrypt = async function (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, dkLen: number, scryptParams?: ScryptParams): Promise<ArrayBuffer> {
+const scrypt = async function (P: string | ArrayBuffer | TypedArray | DataView, S: string | ArrayBuffer | TypedArray | DataView, dkLen: number, scryptParams?: ScryptParams | ScryptPresetName, options: ScryptOptions = {}): Promise<ArrayBuffer> {
   if (typeof P === 'string') P = new TextEncoder().encode(P) // encode S as UTF-8
   else if (P instanceof ArrayBuffer) P = new Uint8Array(P)
-  else if (!ArrayBuffer.isView(P)) throw RangeError('P should be string, ArrayBuffer, TypedArray, DataView')
+  else if (!ArrayBuffer.isView(P)) throw new ScryptParameterError('P', 'ERR_SCRYPT_INVALID_TYPE', 'P should be string, ArrayBuffer, TypedArray, DataView')
 
   if (typeof S === 'string') S = new TextEncoder().encode(S) // encode S as UTF-8
   else if (S instanceof ArrayBuffer) S = new Uint8Array(S)
-  else if (!ArrayBuffer.isView(S)) throw RangeError('S should be string, ArrayBuffer, TypedArray, DataView')
+  else if (!ArrayBuffer.isView(S)) throw new ScryptParameterError('S', 'ERR_SCRYPT_INVALID_TYPE', 'S should be string, ArrayBuffer, TypedArray, DataView')
 
-  if (!Number.isInteger(dkLen) || dkLen <= 0 || dkLen > 137438953440) throw RangeError('dkLen is the intended output length in octets of the derived key; a positive integer less than or equal to (2^32 - 1) * hLen where hLen is 32')
+  if (typeof scryptParams === 'string') scryptParams = _presetParams(scryptParams)
+  const N = (scryptParams !== undefined && scryptParams.N !== undefined) ? scryptParams.N : defaultScryptParams.N // eslint-disable-line
+  const r = (scryptParams !== undefined && scryptParams.r !== undefined) ? scryptParams.r : defaultScryptParams.r // eslint-disable-line
+  const p = (scryptParams !== undefined && scryptParams.p !== undefined) ? scryptParams.p : defaultScryptParams.p // eslint-disable-line
 
-  const N = (scryptParams !== undefined && scryptParams.N !== undefined) ? scryptParams.N : 131072 // eslint-disable-line
-  const r = (scryptParams !== undefined && scryptParams.r !== undefined) ? scryptParams.r : 8 // eslint-disable-line
-  const p = (scryptParams !== undefined && scryptParams.p !== undefined) ? scryptParams.p : 1 // eslint-disable-line
+  _validateDkLen(dkLen)
+  validateScryptParams({ N, r, p })
 
-  if (!Number.isInteger(N) || N <= 0 || (N & (N - 1)) !== 0) throw RangeError('N must be a power of 2')
+  const backend = (options.backend !== undefined) ? options.backend : 'auto'
+  if (backend !== 'native' && backend !== 'wasm-simd' && backend !== 'wasm' && backend !== 'js' && backend !== 'auto') throw RangeError('backend must be one of \'native\', \'wasm-simd\', \'wasm\', \'js\' or \'auto\'')
+  if (backend === 'native' && IS_BROWSER) throw RangeError('the \'native\' backend is only available in Node.js')
+  // Check that the requested WebAssembly backend is supported before doing any work
+  if (backend !== 'native') _scryptWasm(backend)
 
-  if (!Number.isInteger(r) || r <= 0 || !Number.isInteger(p) || p <= 0 || p * r > 1073741823.75) throw RangeError('Parallelization parameter p and blocksize parameter r must be positive integers satisfying p ≤ (2^32− 1) * hLen / MFLen where hLen is 32 and MFlen is 128 * r.')
+  const { tmto, memoryBudget, signal, onProgress, progressInterval, cooperative, sliceMs, limits } = options
+  if (tmto !== undefined && tmto !== 1 && backend === 'native') throw RangeError('the \'native\' backend does not support tmto')
+  // The memory is checked before PBKDF2 allocates the p blocks of B, which can be large too
+  _checkScryptLimits({ N, r, p, dkLen, memory: _scryptMemory(N, r, p, options) }, limits)
+  if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
+  if (progressInterval !== undefined && !(progressInterval >= 0)) throw RangeError('progressInterval must be a number >= 0')
+  if (sliceMs !== undefined && !(sliceMs > 0)) throw RangeError('sliceMs must be a number > 0')
 
-  if (!IS_BROWSER) return require('crypto').scryptSync(P, S, dkLen, { N, r, p, maxmem: 256 * N * r }).buffer // eslint-disable-line
+  if (_useNative(options)) {
+    try {
+      if (onProgress !== undefined) onProgress(0)
+      const DK = await nativeScrypt(P as ArrayBufferView, S as ArrayBufferView, dkLen, N, r, p, _maxMemory(limits), signal)
+      if (onProgress !== undefined) onProgress(1)
+      return DK
+    } catch (error) {
+      // Some runtimes (e.g. some FIPS builds) disable node:crypto scrypt. We can fall back to our own implementation
+      if (backend === 'native' || error.code !== 'ERR_CRYPTO_SCRYPT_NOT_SUPPORTED') throw error
+    }
+  }
 
   /*
   1.  Initialize an array B consisting of p blocks of 128 * r octets each:
       B[0] || B[1] || ... || B[p - 1] = PBKDF2-HMAC-SHA256 (P, S, 1, p * 128 * r)
   */
   const B = await pbkdf2Hmac(P, S, 1, p * 128 * r)
+  if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
 
   /*
   2.  for i = 0 to p - 1 do
         B[i] = scryptROMix (r, B[i], N)
       end for
   */
-  const B32 = new Uint32Array(B)
-  for (let i = 0; i < p; i++) {
-    // TO-DO: activate web workers here!!
-    const blockLength32 = 32 * r
-    const offset = i * blockLength32
-    const Bi = B32.slice(offset, offset + blockLength32)
-    scryptROMix(Bi, N)
-    for (let j = 0; j < 32 * r; j++) {
-      B32[offset + j] = Bi[j]
-    }
-  }
+  const B32 = _loadWords(new Uint8Array(B)) // the scrypt core works on little-endian 32-bit words
+  // The p lanes are independent, so they are computed in parallel in a pool of workers (unless in cooperative mode)
+  await scryptROMixLanes(B32, N, r, p, { backend: backend as ScryptROMixBackend, tmto, memoryBudget, signal, onProgress, progressInterval, cooperative, sliceMs, limits })
 
   /*
   3.  DK = PBKDF2-HMAC-SHA256 (P, B[0] || B[1] || ... || B[p - 1], 1, dkLen)
   */
-  const DK = await pbkdf2Hmac(P, B32, 1, dkLen)
+  const DK = await pbkdf2Hmac(P, _wordsToOctets(B32), 1, dkLen)
 
   return DK
 }
 
-export { scrypt }
+export { scrypt, _scryptMemory, _useNative }
 export default scrypt
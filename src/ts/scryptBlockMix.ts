@@ -1,27 +1,51 @@
-import { salsa208Core } from './salsa208Core'
-import { typedArrayXor } from './typedArrayXor'
+import { _salsa208Core } from './salsa208Core'
+import { _validateBlock } from './validate'
+import { _loadWords, _storeWords } from './endianness'
 
 /**
- * The scryptBlockMix algorithm is the same as the BlockMix algorithm
- * described in the original scrypt paper but with Salsa20/8 Core used as
- * the hash function.
- *
- * This function modifies the ArrayBuffer of the input BigUint64Array
- *
- * @param B - B[0] || B[1] || ... || B[2 * r - 1]
- *                          Input octet string (of size 128 * r octets),
- *                          treated as 2 * r 64-octet blocks,
- *                          where each element in B is a 64-octet block.
+ * Scratch arrays used by _scryptBlockMix(), so that they can be allocated once and reused across calls
+ * @private
+ */
+export interface ScryptBlockMixScratch {
+  /** X, 16 words */
+  X: Uint32Array
+  /** Y[1] || Y[3] || ... || Y[2 * r - 1], 16 * r words */
+  Yodd: Uint32Array
+  /** scratch array of Salsa20/8 Core, 16 words */
+  x: Uint32Array
+}
+
+/**
+ * Allocates the scratch arrays needed by _scryptBlockMix() for block size parameter r
+ * @private
+ */
+const _scryptBlockMixScratch = function (r: number): ScryptBlockMixScratch {
+  return {
+    X: new Uint32Array(16),
+    Yodd: new Uint32Array(16 * r),
+    x: new Uint32Array(16)
+  }
+}
+
+/**
+ * scryptBlockMix computed with caller-provided scratch arrays, so that no memory is allocated. The same scratch
+ * arrays should be reused for all the 2 * N calls in scryptROMix.
+ * @private
  *
+ * @param B - B[0] || B[1] || ... || B[2 * r - 1], which is overwritten with the result
+ * @param scratch - scratch arrays created with _scryptBlockMixScratch(r)
  */
-const scryptBlockMix = function (B: Uint32Array): void {
+const _scryptBlockMix = function (B: Uint32Array, scratch: ScryptBlockMixScratch): void {
   const r = B.byteLength / 128 // block size parameter
+  const { X, Yodd, x } = scratch
 
   /*
   1.  X = B[2 * r - 1]
   */
   const offset32 = (2 * r - 1) * 16
-  const X = B.slice(offset32, offset32 + 16)
+  for (let j = 0; j < 16; j++) {
+    X[j] = B[offset32 + j]
+  }
 
   /*
   2.  for i = 0 to 2 * r - 1 do
@@ -33,13 +57,13 @@ const scryptBlockMix = function (B: Uint32Array): void {
   3.  B' = (Y[0], Y[2], ..., Y[2 * r - 2],
             Y[1], Y[3], ..., Y[2 * r - 1])
   */
-  const Yodd = new Uint32Array(B.length / 2)
   let even = true
   for (let i = 0; i < 2 * r; i++) {
     const offset = i * 16
-    const Bi = B.subarray(offset, offset + 16)
-    typedArrayXor(X, Bi)
-    salsa208Core(X)
+    for (let j = 0; j < 16; j++) {
+      X[j] ^= B[offset + j]
+    }
+    _salsa208Core(X, x)
     const k = i >> 1
     const off2 = 16 * k
     if (even) {
@@ -62,4 +86,25 @@ const scryptBlockMix = function (B: Uint32Array): void {
   }
 }
 
-export { scryptBlockMix }
+/**
+ * The scryptBlockMix algorithm is the same as the BlockMix algorithm
+ * described in the original scrypt paper but with Salsa20/8 Core used as
+ * the hash function.
+ *
+ * This function modifies the ArrayBuffer of the input BigUint64Array
+ *
+ * @param B - B[0] || B[1] || ... || B[2 * r - 1]
+ *                          Input octet string (of size 128 * r octets),
+ *                          treated as 2 * r 64-octet blocks,
+ *                          where each element in B is a 64-octet block.
+ *
+ * @throws {ScryptParameterError} if B is not a Uint32Array of 128 * r octets
+ */
+const scryptBlockMix = function (B: Uint32Array): void {
+  _validateBlock(B)
+  const X = _loadWords(B)
+  _scryptBlockMix(X, _scryptBlockMixScratch(B.byteLength / 128))
+  _storeWords(X, B)
+}
+
+export { scryptBlockMix, _scryptBlockMix, _scryptBlockMixScratch }
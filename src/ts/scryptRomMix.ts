@@ -1,5 +1,72 @@
-import { scryptBlockMix } from './scryptBlockMix'
-import { typedArrayXor } from './typedArrayXor'
+import { _scryptROMixInit, _scryptROMixRun, _tmtoFactor } from './scryptRomMixCore'
+import { _scryptWasm } from './scryptWasm'
+import { ScryptLimits, _checkScryptLimits } from './limits'
+import { _validateBlock, _validateN } from './validate'
+import { _littleEndianWords, _loadWords, _storeWords } from './endianness'
+
+/**
+ * Implementation of the scryptROMix core:
+ * - `'wasm-simd'`: WebAssembly with 128-bit SIMD instructions. It is the fastest one, but it needs a runtime supporting wasm-simd128.
+ * - `'wasm'`: WebAssembly without SIMD.
+ * - `'js'`: plain JS. It is available everywhere.
+ * - `'auto'`: the fastest one available in the current runtime.
+ */
+export type ScryptROMixBackend = 'wasm-simd' | 'wasm' | 'js' | 'auto'
+
+/**
+ * Options for scryptROMix() that do not affect the result
+ */
+export interface ScryptROMixOptions {
+  /** The implementation of the scryptROMix core. Defaults to `'auto'`, which picks the fastest one available (WebAssembly with SIMD, WebAssembly or JS). */
+  backend?: ScryptROMixBackend
+  /**
+   * Time-memory tradeoff (TMTO) factor k: only every k-th entry of the table V is stored, which divides by k the memory
+   * needed (128 * r * N octets without TMTO), and the missing entries are recomputed from the nearest stored one when they
+   * are needed. The result is exactly the same, but every iteration of the second loop has to compute (k - 1) / 2 extra
+   * BlockMix on average, so the total work grows from 2 * N to (2 + (k - 1) / 2) * N BlockMix: 25% more time for k = 2,
+   * 75% for k = 4, 175% for k = 8...
+   *
+   * Use `'auto'` to choose the smallest k that fits V in memoryBudget. Defaults to 1 (V is fully stored).
+   */
+  tmto?: number | 'auto'
+  /** Maximum size in octets of the table V when tmto is `'auto'` */
+  memoryBudget?: number
+  /** An AbortSignal to cancel the computation. It is checked between BlockMix iterations, and if aborted an AbortError is thrown. */
+  signal?: AbortSignal
+  /**
+   * A callback that receives the progress of the computation as a fraction (from 0 to 1) of the 2 * N BlockMix
+   * iterations already done. It is always called with 1 when the computation finishes.
+   */
+  onProgress?: (fraction: number) => void
+  /** Minimum time in milliseconds between two consecutive calls to onProgress. Defaults to 100. */
+  progressInterval?: number
+  /** Limits for N, r and the memory of the table V. The ones not provided are the ones of the global policy (see setScryptLimits()) */
+  limits?: ScryptLimits
+}
+
+/**
+ * Options for scryptROMixAsync() that do not affect the result
+ */
+export interface ScryptROMixAsyncOptions extends ScryptROMixOptions {
+  /** Approximate duration in milliseconds of every slice of computation before yielding to the event loop. Defaults to 16 (about one frame at 60 fps). */
+  sliceMs?: number
+}
+
+/**
+ * Validates B and N, and checks N, r and the memory of the table V (128 * r * ceil(N / k) octets for a TMTO factor k)
+ * against the limits
+ * @private
+ *
+ * @throws {ScryptParameterError} if B or N are not valid
+ * @throws {ScryptLimitError} if any of them exceeds its limit
+ */
+const _checkScryptROMixArgs = function (B: Uint32Array, N: number, options: ScryptROMixOptions): void {
+  _validateBlock(B)
+  const r = B.byteLength / 128
+  _validateN(N, r)
+  const k = _tmtoFactor(N, r, options.tmto, options.memoryBudget)
+  _checkScryptLimits({ N, r, memory: 128 * r * Math.ceil(N / k) }, options.limits)
+}
 
 /**
  * The scryptROMix algorithm
@@ -9,53 +76,84 @@ import { typedArrayXor } from './typedArrayXor'
  * @param {Uint32Array} B    - Input octet vector of length 128 * r octets.
  * @param {number} N         - CPU/Memory cost parameter, must be larger than 1,
  *                             a power of 2, and less than 2^(128 * r / 8).
+ * @param {ScryptROMixOptions} [options] - options that do not affect the result, such as an AbortSignal or a progress callback
  *
+ * @throws {RangeError} if options.backend is unknown or it is not supported by the runtime, or if options.tmto or options.memoryBudget are not valid
+ * @throws {ScryptParameterError} if B is not a Uint32Array of 128 * r octets, or N is not valid for that r
+ * @throws {ScryptLimitError} if N, r or the memory of the table V exceed the limits (checked before allocating it)
+ * @throws {AbortError} if options.signal is aborted before the computation finishes
  */
-const scryptROMix = function (B: Uint32Array, N: number): void {
-  /*
-  The scryptROMix algorithm is the same as the ROMix algorithm described in
-  http://www.tarsnap.com/scrypt/scrypt.pdf but with scryptBlockMix used as the
-  hash function H and the Integerify function explained inline.
-  */
-  const r = B.byteLength / 128
-  /*
-  1.  X = B
-  */
-
-  /*
-  2.  for i = 0 to N - 1 do
-        V[i] = X
-        X = scryptBlockMix (X)
-      end for
-  */
-  const V = new Array(N)
-  for (let i = 0; i < N; i++) {
-    V[i] = B.slice(0)
-    scryptBlockMix(B)
-  }
+const scryptROMix = function (B: Uint32Array, N: number, options: ScryptROMixOptions = {}): void {
+  _checkScryptROMixArgs(B, N, options)
+  const X = _loadWords(B)
+  _scryptROMixWords(X, N, options)
+  _storeWords(X, B)
+}
 
-  /*
-  3.  for i = 0 to N - 1 do
-        j = Integerify (X) mod N
-                where Integerify (B[0] ... B[2 * r - 1]) is defined
-                as the result of interpreting B[2 * r - 1] as a
-                little-endian integer.
-        T = X xor V[j]
-        X = scryptBlockMix (T)
-      end for
-  */
-  function integerifyModN (Uint32arr: Uint32Array): number {
-    const offset = (2 * r - 1) * 64
-    const lastBlock = new DataView(Uint32arr.buffer, offset, 64)
-
-    // Since N is a power of 2 and assuming N <= 2**32, we can just take the first subblock (little endian) of 32 bits
-    return lastBlock.getUint32(0, true) % N
-  }
-  for (let i = 0; i < N; i++) {
-    const j = integerifyModN(B)
-    typedArrayXor(B, V[j])
-    scryptBlockMix(B)
+/**
+ * The scryptROMix algorithm computed in time slices of about options.sliceMs milliseconds, yielding to the event loop
+ * between slices. It keeps the main thread responsive when workers are not available, at the cost of a slightly
+ * longer computation. The result is exactly the same as the one of scryptROMix().
+ *
+ * This function modifies the ArrayBuffer of the input array
+ *
+ * @param {Uint32Array} B    - Input octet vector of length 128 * r octets.
+ * @param {number} N         - CPU/Memory cost parameter, must be larger than 1,
+ *                             a power of 2, and less than 2^(128 * r / 8).
+ * @param {ScryptROMixAsyncOptions} [options] - options that do not affect the result, such as the duration of the slices, an AbortSignal or a progress callback
+ *
+ * @throws {RangeError} if options.backend is unknown or it is not supported by the runtime, or if options.tmto or options.memoryBudget are not valid
+ * @throws {ScryptParameterError} if B is not a Uint32Array of 128 * r octets, or N is not valid for that r
+ * @throws {ScryptLimitError} if N, r or the memory of the table V exceed the limits (checked before allocating it)
+ * @throws {AbortError} if options.signal is aborted before the computation finishes
+ */
+const scryptROMixAsync = async function (B: Uint32Array, N: number, options: ScryptROMixAsyncOptions = {}): Promise<void> {
+  _checkScryptROMixArgs(B, N, options)
+  const X = _loadWords(B)
+  await _scryptROMixWordsAsync(X, N, options)
+  _storeWords(X, B)
+}
+
+/**
+ * scryptROMix() of the little-endian words of B (see _loadWords()), without checking the arguments
+ * @private
+ */
+const _scryptROMixWords = function (X: Uint32Array, N: number, options: ScryptROMixOptions): void {
+  _scryptROMixRun(_scryptROMixInit(X, N, options, _scryptWasm(options.backend), _littleEndianWords()), Infinity)
+}
+
+/**
+ * Returns a promise resolved once the pending events have been handled. Browsers clamp nested setTimeout(0) calls
+ * to 4 ms, so it uses setImmediate() where available (Node.js) and a MessageChannel otherwise.
+ * @private
+ */
+const _yieldToEventLoop = async function (): Promise<void> {
+  return await new Promise(resolve => {
+    if (typeof setImmediate === 'function') {
+      setImmediate(resolve)
+    } else if (typeof MessageChannel === 'function') {
+      const channel = new MessageChannel()
+      channel.port1.onmessage = function () {
+        channel.port1.close()
+        resolve()
+      }
+      channel.port2.postMessage(null)
+    } else {
+      setTimeout(resolve, 0)
+    }
+  })
+}
+
+/**
+ * scryptROMixAsync() of the little-endian words of B (see _loadWords()), without checking the arguments
+ * @private
+ */
+const _scryptROMixWordsAsync = async function (X: Uint32Array, N: number, options: ScryptROMixAsyncOptions): Promise<void> {
+  const sliceMs = (options.sliceMs !== undefined) ? options.sliceMs : 16
+  const state = _scryptROMixInit(X, N, options, _scryptWasm(options.backend), _littleEndianWords())
+  while (!_scryptROMixRun(state, Date.now() + sliceMs)) {
+    await _yieldToEventLoop()
   }
 }
 
-export { scryptROMix }
+export { scryptROMix, scryptROMixAsync, _scryptROMixWords, _scryptROMixWordsAsync }
@@ -0,0 +1,196 @@
+import { _scryptBlockMix, _scryptBlockMixScratch } from './scryptBlockMix'
+import { _scryptROMixWasmKernel, ScryptWasm } from './scryptWasm'
+import { AbortError } from './errors'
+import { ScryptROMixOptions } from './scryptRomMix'
+
+/**
+ * The iterations of scryptROMix, implemented in JS or WebAssembly
+ * @private
+ */
+export interface ScryptROMixKernel {
+  /** Iteration i of the first loop: V[i] = X (if it has to be stored); X = scryptBlockMix (X) */
+  fill: (i: number) => void
+  /** Iteration of the second loop: j = Integerify (X) mod N; X = scryptBlockMix (X xor V[j]), recomputing V[j] if it was not stored */
+  mix: () => void
+  /** Writes X to B once all the iterations are done */
+  done: () => void
+}
+
+/**
+ * State of a scryptROMix computation, so that it can be computed in several slices
+ * @private
+ */
+export interface ScryptROMixState {
+  N: number
+  kernel: ScryptROMixKernel
+  /** number of BlockMix iterations already done (from 0 to 2 * N) */
+  iterations: number
+  options: ScryptROMixOptions
+  lastProgressReport: number
+}
+
+/**
+ * Returns the time-memory tradeoff factor k, that is to say that only every k-th V[i] is stored
+ * @private
+ *
+ * @param tmto - k, or `'auto'` to choose the smallest k that fits V in memoryBudget
+ * @param memoryBudget - maximum size in octets of V when tmto is `'auto'`
+ *
+ * @throws {RangeError} if tmto or memoryBudget are not valid, or if not even one V entry fits in memoryBudget
+ */
+const _tmtoFactor = function (N: number, r: number, tmto: number | 'auto' = 1, memoryBudget?: number): number {
+  if (tmto === 'auto') {
+    if (memoryBudget === undefined || !(memoryBudget > 0)) throw RangeError('memoryBudget must be a number of octets > 0 if tmto is \'auto\'')
+    // V stores ceil(N / k) entries of 128 * r octets, so k must be at least N / entries
+    const entries = Math.floor(memoryBudget / (128 * r))
+    if (entries < 1) throw RangeError(`memoryBudget must be at least 128 * r = ${128 * r} octets, the size of one V entry`)
+    return Math.min(N, Math.ceil(N / entries))
+  }
+  if (!Number.isInteger(tmto) || tmto < 1) throw RangeError('tmto must be a positive integer or \'auto\'')
+  return Math.min(N, tmto)
+}
+
+/**
+ * Creates the JS scryptROMix kernel, which uses B as X
+ * @private
+ *
+ * @param k - time-memory tradeoff factor: only every k-th V[i] is stored
+ */
+const _scryptROMixJsKernel = function (B: Uint32Array, N: number, k: number): ScryptROMixKernel {
+  const r = B.byteLength / 128 // block size parameter
+  const blockLength32 = 32 * r
+  // V[0] || V[k] || V[2 * k] || ... in one contiguous array
+  const V = new Uint32Array(blockLength32 * Math.ceil(N / k))
+  // where the V[j] that are not stored are recomputed
+  const T = (k > 1) ? new Uint32Array(blockLength32) : V
+  // scratch arrays of scryptBlockMix, reused across the 2 * N iterations
+  const scratch = _scryptBlockMixScratch(r)
+
+  /*
+  Integerify (B[0] ... B[2 * r - 1]) is defined as the result of interpreting
+  B[2 * r - 1] as a little-endian integer.
+  */
+  function integerifyModN (Uint32arr: Uint32Array): number {
+    // Since N is a power of 2 and N <= 2**32, we can just take the first (little-endian) word of B[2 * r - 1]
+    return Uint32arr[(2 * r - 1) * 16] % N
+  }
+
+  return {
+    fill: function (i: number) {
+      if (i % k === 0) V.set(B, (i / k) * blockLength32)
+      _scryptBlockMix(B, scratch)
+    },
+    mix: function () {
+      const j = integerifyModN(B)
+      let offset = j * blockLength32
+      if (k > 1) {
+        // V[j] = scryptBlockMix^(j mod k) (V[j - j mod k])
+        const stored = (j - j % k) / k * blockLength32
+        for (let l = 0; l < blockLength32; l++) {
+          T[l] = V[stored + l]
+        }
+        for (let step = j % k; step > 0; step--) {
+          _scryptBlockMix(T, scratch)
+        }
+        offset = 0
+      }
+      for (let l = 0; l < blockLength32; l++) {
+        B[l] ^= T[offset + l]
+      }
+      _scryptBlockMix(B, scratch)
+    },
+    done: function () {}
+  }
+}
+
+/**
+ * Initializes the state of a scryptROMix computation
+ * @private
+ *
+ * @param B - the little-endian words of B (see _loadWords())
+ * @param wasm - if defined, the iterations are computed with this WebAssembly implementation instead of JS
+ * @param littleEndian - whether Uint32Array views hold little-endian words (see _littleEndianWords()). It is passed
+ *                       because workers do not share the state of the main thread
+ */
+const _scryptROMixInit = function (B: Uint32Array, N: number, options: ScryptROMixOptions, wasm?: ScryptWasm, littleEndian: boolean = true): ScryptROMixState {
+  const k = _tmtoFactor(N, B.byteLength / 128, options.tmto, options.memoryBudget)
+  /*
+  1.  X = B
+  */
+  return {
+    N,
+    kernel: (wasm !== undefined) ? _scryptROMixWasmKernel(B, N, k, wasm, littleEndian) : _scryptROMixJsKernel(B, N, k),
+    iterations: 0,
+    options,
+    lastProgressReport: Date.now()
+  }
+}
+
+/**
+ * Runs the BlockMix iterations of a scryptROMix computation until it finishes or the deadline is reached
+ * @private
+ *
+ * @param state - the state of the computation, which is updated
+ * @param deadline - a timestamp in milliseconds (as Date.now()). The iterations stop as soon as it is reached. Use Infinity to run the entire computation
+ *
+ * @returns true if the computation has finished
+ */
+const _scryptROMixRun = function (state: ScryptROMixState, deadline: number): boolean {
+  /*
+  The scryptROMix algorithm is the same as the ROMix algorithm described in
+  http://www.tarsnap.com/scrypt/scrypt.pdf but with scryptBlockMix used as the
+  hash function H and the Integerify function explained inline.
+  */
+  const { N, kernel } = state
+  const { signal, onProgress } = state.options
+  const progressInterval = (state.options.progressInterval !== undefined) ? state.options.progressInterval : 100
+  const sliced = deadline !== Infinity
+
+  // Returns true if the computation must be paused after the current iteration
+  const endOfIteration = function (): boolean {
+    state.iterations++
+    if (onProgress === undefined && !sliced) return false
+    const now = Date.now()
+    if (onProgress !== undefined && (state.iterations === 2 * N || now - state.lastProgressReport >= progressInterval)) {
+      state.lastProgressReport = now
+      onProgress(state.iterations / (2 * N))
+    }
+    return now >= deadline
+  }
+
+  /*
+  2.  for i = 0 to N - 1 do
+        V[i] = X
+        X = scryptBlockMix (X)
+      end for
+  */
+  while (state.iterations < N) {
+    if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
+    kernel.fill(state.iterations)
+    if (endOfIteration()) return false
+  }
+
+  /*
+  3.  for i = 0 to N - 1 do
+        j = Integerify (X) mod N
+                where Integerify (B[0] ... B[2 * r - 1]) is defined
+                as the result of interpreting B[2 * r - 1] as a
+                little-endian integer.
+        T = X xor V[j]
+        X = scryptBlockMix (T)
+      end for
+  */
+  while (state.iterations < 2 * N) {
+    if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
+    kernel.mix()
+    if (endOfIteration() && state.iterations < 2 * N) return false
+  }
+
+  /*
+  4.  B' = X
+  */
+  kernel.done()
+  return true
+}
+
+export { _scryptROMixInit, _scryptROMixRun, _scryptROMixJsKernel, _tmtoFactor }
@@ -0,0 +1,102 @@
+import { scryptWasmBinary, scryptWasmSimdBinary } from './scryptWasmBinary'
+import { ScryptROMixKernel } from './scryptRomMixCore'
+import { ScryptROMixBackend } from './scryptRomMix'
+
+/**
+ * A compiled WebAssembly implementation of scryptROMix. It can be posted to workers.
+ * @private
+ */
+export interface ScryptWasm {
+  module: WebAssembly.Module
+  /** whether it is the SIMD build, which stores the words of every block permuted */
+  simd: boolean
+}
+
+/** the compiled modules, or null if they are not supported by the runtime */
+const wasmModules: { simd?: ScryptWasm | null, scalar?: ScryptWasm | null } = {}
+
+/**
+ * Compiles a base64-encoded WebAssembly binary. Returns null if it cannot be compiled in the current runtime (no
+ * WebAssembly at all, no support for some of its instructions, or WebAssembly disallowed by a Content Security Policy).
+ * @private
+ */
+const _compileWasm = function (base64: string, simd: boolean): ScryptWasm | null {
+  if (typeof WebAssembly !== 'object') return null
+  const bytes = (IS_BROWSER)
+    ? Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+    : new Uint8Array(Buffer.from(base64, 'base64'))
+  try {
+    if (!WebAssembly.validate(bytes)) return null
+    // The modules are just about 1 KiB long, so they can be synchronously compiled even in the main thread of browsers
+    return { module: new WebAssembly.Module(bytes), simd }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Returns the compiled WebAssembly implementation for the requested backend, or undefined if the JS one has to be used.
+ * @private
+ *
+ * @param backend - the requested backend. Defaults to `'auto'`.
+ *
+ * @throws {RangeError} if the backend is unknown or it is not supported by the runtime
+ */
+const _scryptWasm = function (backend: ScryptROMixBackend = 'auto'): ScryptWasm | undefined {
+  if (backend !== 'wasm-simd' && backend !== 'wasm' && backend !== 'js' && backend !== 'auto') throw RangeError('backend must be one of \'wasm-simd\', \'wasm\', \'js\' or \'auto\'')
+  if (backend === 'js') return undefined
+  if (backend !== 'wasm') {
+    if (wasmModules.simd === undefined) wasmModules.simd = _compileWasm(scryptWasmSimdBinary(), true)
+    if (wasmModules.simd !== null) return wasmModules.simd
+    if (backend === 'wasm-simd') throw RangeError('the \'wasm-simd\' backend is not supported by this runtime')
+  }
+  if (wasmModules.scalar === undefined) wasmModules.scalar = _compileWasm(scryptWasmBinary(), false)
+  if (wasmModules.scalar !== null) return wasmModules.scalar
+  if (backend === 'wasm') throw RangeError('the \'wasm\' backend is not supported by this runtime')
+  return undefined
+}
+
+/**
+ * Creates the scryptROMix kernel that runs the iterations in a new instance of the WebAssembly module. The memory of the
+ * instance holds X (initialized with B) and V. B is updated when the computation finishes.
+ * @private
+ *
+ * @param k - time-memory tradeoff factor: only every k-th V[i] is stored
+ * @param littleEndian - whether a Uint32Array view of the memory of the instance, which is always little endian, holds the
+ *                       same words that the instance reads. Otherwise, the words are copied with a DataView
+ *
+ * @throws {RangeError} if the memory of the instance cannot be grown to fit V (128 * r * N / k octets)
+ */
+const _scryptROMixWasmKernel = function (B: Uint32Array, N: number, k: number, wasm: ScryptWasm, littleEndian: boolean = true): ScryptROMixKernel {
+  const r = B.byteLength / 128 // block size parameter
+  const instance = new WebAssembly.Instance(wasm.module)
+  const exports = instance.exports as { memory: WebAssembly.Memory, fill: (i: number, r: number, k: number) => void, mix: (N: number, r: number, k: number) => void }
+
+  // See the memory layout in src/wat/scrypt.wat
+  const pages = Math.ceil((320 * r + 64 + 128 * r * Math.ceil(N / k)) / 65536)
+  if (pages > 65536) throw RangeError('V does not fit in the memory of a WebAssembly instance')
+  exports.memory.grow(pages - exports.memory.buffer.byteLength / 65536)
+  const X = new Uint32Array(exports.memory.buffer, 0, 32 * r)
+  const view = new DataView(exports.memory.buffer, 0, 128 * r)
+
+  // The SIMD build stores word i of every 64-octet block at position (5 * i) mod 16
+  const position = function (i: number): number {
+    return wasm.simd ? (i & ~15) | ((i * 5) & 15) : i
+  }
+  for (let i = 0; i < X.length; i++) {
+    if (littleEndian) X[i] = B[position(i)]
+    else view.setUint32(4 * i, B[position(i)], true)
+  }
+
+  return {
+    fill: function (i: number) { exports.fill(i, r, k) },
+    mix: function () { exports.mix(N, r, k) },
+    done: function () {
+      for (let i = 0; i < X.length; i++) {
+        B[position(i)] = littleEndian ? X[i] : view.getUint32(4 * i, true)
+      }
+    }
+  }
+}
+
+export { _scryptWasm, _scryptROMixWasmKernel }
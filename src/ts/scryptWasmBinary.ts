@@ -0,0 +1,19 @@
+// Generated by build/build.wasm.js from the WebAssembly text sources in src/wat. Do not edit it by hand, run `npm run build:wasm` instead.
+
+/**
+ * Returns the base64-encoded WebAssembly binary compiled from src/wat/scrypt.wat
+ * @private
+ */
+const scryptWasmBinary = function (): string {
+  return 'AGFzbQEAAAABFgRgA39/fwBgAX8AYAJ/fwBgAn9/AX8DCAcAAAECAwAABQMBAAEHFwMGbWVtb3J5AgAEZmlsbAAFA21peAAGCqMJBy0BAX8gASACaiEDA0AgACABKQMANwMAIABBCGohACABQQhqIQEgASADSQ0ACwszAQF/IAEgAmohAwNAIAAgACkDACABKQMAhTcDACAAQQhqIQAgAUEIaiEBIAEgA0kNAAsL9AUBEX8gACgCACEBIAAoAgQhAiAAKAIIIQMgACgCDCEEIAAoAhAhBSAAKAIUIQYgACgCGCEHIAAoAhwhCCAAKAIgIQkgACgCJCEKIAAoAighCyAAKAIsIQwgACgCMCENIAAoAjQhDiAAKAI4IQ8gACgCPCEQQQQhEQNAIAUgASANakEHd3MhBSAJIAUgAWpBCXdzIQkgDSAJIAVqQQ13cyENIAEgDSAJakESd3MhASAKIAYgAmpBB3dzIQogDiAKIAZqQQl3cyEOIAIgDiAKakENd3MhAiAGIAIgDmpBEndzIQYgDyALIAdqQQd3cyEPIAMgDyALakEJd3MhAyAHIAMgD2pBDXdzIQcgCyAHIANqQRJ3cyELIAQgECAMakEHd3MhBCAIIAQgEGpBCXdzIQggDCAIIARqQQ13cyEMIBAgDCAIakESd3MhECACIAEgBGpBB3dzIQIgAyACIAFqQQl3cyEDIAQgAyACakENd3MhBCABIAQgA2pBEndzIQEgByAGIAVqQQd3cyEHIAggByAGakEJd3MhCCAFIAggB2pBDXdzIQUgBiAFIAhqQRJ3cyEGIAwgCyAKakEHd3MhDCAJIAwgC2pBCXdzIQkgCiAJIAxqQQ13cyEKIAsgCiAJakESd3MhCyANIBAgD2pBB3dzIQ0gDiANIBBqQQl3cyEOIA8gDiANakENd3MhDyAQIA8gDmpBEndzIRAgEUEBayIRDQALIAAgASAAKAIAajYCACAAIAIgACgCBGo2AgQgACADIAAoAghqNgIIIAAgBCAAKAIMajYCDCAAIAUgACgCEGo2AhAgACAGIAAoAhRqNgIUIAAgByAAKAIYajYCGCAAIAggACgCHGo2AhwgACAJIAAoAiBqNgIgIAAgCiAAKAIkajYCJCAAIAsgACgCKGo2AiggACAMIAAoAixqNgIsIAAgDSAAKAIwajYCMCAAIA4gACgCNGo2AjQgACAPIAAoAjhqNgI4IAAgECAAKAI8ajYCPAuaAQEEfyABQQZ0IQUgBUECdCECIAJBwABqIQMgAiAAIAVBAXRBwABrakHAABAAA0AgAiAAIARBBnRqQcAAEAEgAhACIAAgBEEFdGogAkHAABAAIARBAWohBCACIAAgBEEGdGpBwAAQASACEAIgAyAEQQF2QQZ0aiACQcAAEAAgBEEBaiEEIAQgAUEBdEkNAAsgACAFaiADIAUQAAsVACABQcACbEHAAGogACABQQd0bGoLIwAgACACcEUEQCAAIAJuIAEQBEEAIAFBB3QQAAtBACABEAMLcwEEfyABQQd0IQQgBEHAAGsoAgAgAEEBa3EhAyACQQFGBEBBACADIAEQBCAEEAEFIAQhBSAFIAMgAm4gARAEIAQQACADIAJwIQYCQANAIAZFDQEgBSABEAMgBkEBayEGDAALC0EAIAUgBBABC0EAIAEQAws='
+}
+
+/**
+ * Returns the base64-encoded WebAssembly binary compiled from src/wat/scrypt-simd.wat
+ * @private
+ */
+const scryptWasmSimdBinary = function (): string {
+  return 'AGFzbQEAAAABFgRgA39/fwBgAX8AYAJ/fwBgAn9/AX8DCAcAAAECAwAABQMBAAEHFwMGbWVtb3J5AgAEZmlsbAAFA21peAAGCrcHBy8BAX8gASACaiEDA0AgACAB/QAEAP0LBAAgAEEQaiEAIAFBEGohASABIANJDQALCzcBAX8gASACaiEDA0AgACAA/QAEACAB/QAEAP1R/QsEACAAQRBqIQAgAUEQaiEBIAEgA0kNAAsLggQCBXsBfyAA/QAEACEBIAD9AAQQIQIgAP0ABCAhAyAA/QAEMCEEQQQhBgNAIAEgBP2uASEFIAIgBUEH/asBIAVBGf2tAf1Q/VEhAiACIAH9rgEhBSADIAVBCf2rASAFQRf9rQH9UP1RIQMgAyAC/a4BIQUgBCAFQQ39qwEgBUET/a0B/VD9USEEIAQgA/2uASEFIAEgBUES/asBIAVBDv2tAf1Q/VEhASACIAL9DQwNDg8AAQIDBAUGBwgJCgshAiADIAP9DQgJCgsMDQ4PAAECAwQFBgchAyAEIAT9DQQFBgcICQoLDA0ODwABAgMhBCABIAL9rgEhBSAEIAVBB/2rASAFQRn9rQH9UP1RIQQgBCAB/a4BIQUgAyAFQQn9qwEgBUEX/a0B/VD9USEDIAMgBP2uASEFIAIgBUEN/asBIAVBE/2tAf1Q/VEhAiACIAP9rgEhBSABIAVBEv2rASAFQQ79rQH9UP1RIQEgAiAC/Q0EBQYHCAkKCwwNDg8AAQIDIQIgAyAD/Q0ICQoLDA0ODwABAgMEBQYHIQMgBCAE/Q0MDQ4PAAECAwQFBgcICQoLIQQgBkEBayIGDQALIAAgASAA/QAEAP2uAf0LBAAgACACIAD9AAQQ/a4B/QsEECAAIAMgAP0ABCD9rgH9CwQgIAAgBCAA/QAEMP2uAf0LBDALmgEBBH8gAUEGdCEFIAVBAnQhAiACQcAAaiEDIAIgACAFQQF0QcAAa2pBwAAQAANAIAIgACAEQQZ0akHAABABIAIQAiAAIARBBXRqIAJBwAAQACAEQQFqIQQgAiAAIARBBnRqQcAAEAEgAhACIAMgBEEBdkEGdGogAkHAABAAIARBAWohBCAEIAFBAXRJDQALIAAgBWogAyAFEAALFQAgAUHAAmxBwABqIAAgAUEHdGxqCyMAIAAgAnBFBEAgACACbiABEARBACABQQd0EAALQQAgARADC3MBBH8gAUEHdCEEIARBwABrKAIAIABBAWtxIQMgAkEBRgRAQQAgAyABEAQgBBABBSAEIQUgBSADIAJuIAEQBCAEEAAgAyACcCEGAkADQCAGRQ0BIAUgARADIAZBAWshBgwACwtBACAFIAQQAQtBACABEAML'
+}
+
+export { scryptWasmBinary, scryptWasmSimdBinary }
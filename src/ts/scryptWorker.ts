@@ -0,0 +1,51 @@
+/**
+ * The code run by the workers of the pool (see scryptWorkers.ts). It is bundled on its own and embedded as a string
+ * in the library bundles (see build/rollup-plugin-worker-code.js), so no extra file has to be fetched.
+ */
+import { _scryptROMixInit, _scryptROMixRun } from './scryptRomMixCore'
+import { ScryptWasm } from './scryptWasm'
+
+/**
+ * A scryptROMix lane posted to a worker
+ * @private
+ */
+export interface ScryptROMixTask {
+  B: Uint32Array
+  N: number
+  /** if defined, the worker computes the iterations with this WebAssembly implementation instead of JS */
+  wasm?: ScryptWasm
+  tmto?: number | 'auto'
+  memoryBudget?: number
+  /** if defined, the worker posts its progress with this minimum interval in milliseconds */
+  progressInterval?: number
+  /** whether Uint32Array views hold little-endian words in the main thread (see _littleEndianWords()) */
+  littleEndian: boolean
+}
+
+/**
+ * The task run by the workers: it computes scryptROMix of the received block and posts it back. If requested, it also posts the progress of the computation.
+ * @private
+ */
+const _scryptROMixTask = function (task: ScryptROMixTask, postMessage: (message: any, transfer: ArrayBuffer[]) => void): void {
+  try {
+    const onProgress = (task.progressInterval !== undefined)
+      ? function (fraction: number) { postMessage({ progress: fraction }, []) }
+      : undefined
+    _scryptROMixRun(_scryptROMixInit(task.B, task.N, { tmto: task.tmto, memoryBudget: task.memoryBudget, onProgress, progressInterval: task.progressInterval }, task.wasm, task.littleEndian), Infinity)
+    postMessage({ B: task.B }, [task.B.buffer as ArrayBuffer])
+  } catch (error) {
+    postMessage({ error: (error instanceof Error) ? error.message : String(error) }, [])
+  }
+}
+
+if (IS_BROWSER) {
+  const worker = self as any // a DedicatedWorkerGlobalScope
+  worker.onmessage = function (event: MessageEvent) {
+    _scryptROMixTask(event.data, function (message, transfer) { worker.postMessage(message, transfer) })
+  }
+} else {
+  const { parentPort } = require('worker_threads') // eslint-disable-line
+  parentPort.on('message', function (task: ScryptROMixTask) {
+    _scryptROMixTask(task, function (message, transfer) { parentPort.postMessage(message, transfer) })
+  })
+}
@@ -0,0 +1,306 @@
+import { _scryptROMixWords, _scryptROMixWordsAsync, ScryptROMixAsyncOptions } from './scryptRomMix'
+import { _tmtoFactor } from './scryptRomMixCore'
+import { _scryptWasm } from './scryptWasm'
+import { ScryptROMixTask } from './scryptWorker'
+import scryptWorkerCode from 'worker-code:./scryptWorker'
+import { AbortError } from './errors'
+import { _checkScryptLimits } from './limits'
+import { _littleEndianWords } from './endianness'
+
+/**
+ * Options for scryptROMixLanes()
+ * @private
+ */
+export interface ScryptROMixLanesOptions extends ScryptROMixAsyncOptions {
+  /** If true, the lanes are computed one after another in the main thread with scryptROMixAsync() instead of in workers */
+  cooperative?: boolean
+}
+
+interface Lane extends ScryptROMixTask {
+  onProgress?: (fraction: number) => void
+  resolve: (B: Uint32Array) => void
+  reject: (reason: any) => void
+}
+
+/**
+ * A worker of the pool: a Web Worker in browsers or a worker_threads Worker in Node.js, behind the same minimal interface
+ * @private
+ */
+interface PoolWorker {
+  lane?: Lane
+  run: (lane: Lane) => void
+  idle: () => void
+  terminate: () => void
+}
+
+const idleWorkers: PoolWorker[] = []
+const busyWorkers: PoolWorker[] = []
+const pendingLanes: Lane[] = []
+let workerUrl: string | undefined
+
+/**
+ * Returns the maximum number of workers in the pool, that is to say the number of logical processors available
+ * @private
+ */
+const _maxWorkers = function (): number {
+  if (!IS_BROWSER) return require('os').cpus().length || 4 // eslint-disable-line
+  return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency > 0) ? navigator.hardwareConcurrency : 4
+}
+
+/**
+ * Returns the (cloneable) task to post to the worker that will compute lane
+ * @private
+ */
+const _task = function (lane: Lane): ScryptROMixTask {
+  return { B: lane.B, N: lane.N, wasm: lane.wasm, tmto: lane.tmto, memoryBudget: lane.memoryBudget, progressInterval: lane.progressInterval, littleEndian: lane.littleEndian }
+}
+
+/**
+ * Creates a new worker for the pool
+ * @private
+ */
+const _spawnWorker = function (): PoolWorker {
+  const poolWorker: PoolWorker = {
+    run: () => {},
+    idle: () => {},
+    terminate: () => {}
+  }
+  const onmessage = function (data: any): void {
+    const lane = poolWorker.lane
+    if (lane === undefined) return // the worker has been discarded (e.g. its lane was aborted)
+    if (data.progress !== undefined) {
+      if (lane.onProgress !== undefined) lane.onProgress(data.progress)
+      return
+    }
+    poolWorker.lane = undefined
+    if (data.error !== undefined) lane.reject(new Error(data.error))
+    else lane.resolve(data.B)
+    _runNextLane(poolWorker)
+  }
+  const onerror = function (error: Error): void {
+    // A worker that failed is not trusted anymore
+    const lane = poolWorker.lane
+    if (lane === undefined) return // the worker has already been discarded
+    _discardWorker(poolWorker)
+    lane.reject(error)
+  }
+
+  if (IS_BROWSER) {
+    if (workerUrl === undefined) {
+      workerUrl = URL.createObjectURL(new Blob([scryptWorkerCode], { type: 'text/javascript' }))
+    }
+    const worker = new Worker(workerUrl)
+    worker.onmessage = function (event: MessageEvent) { onmessage(event.data) }
+    worker.onerror = function (event: ErrorEvent) {
+      event.preventDefault()
+      onerror(new Error(event.message))
+    }
+    poolWorker.run = function (lane: Lane) {
+      worker.postMessage(_task(lane), [lane.B.buffer])
+    }
+    poolWorker.terminate = function () { worker.terminate() }
+  } else {
+    const { Worker } = require('worker_threads') // eslint-disable-line
+    const worker = new Worker(scryptWorkerCode, { eval: true })
+    worker.on('message', onmessage)
+    worker.on('error', onerror)
+    poolWorker.run = function (lane: Lane) {
+      worker.ref() // keep the process alive while the lane is being computed
+      worker.postMessage(_task(lane), [lane.B.buffer])
+    }
+    poolWorker.idle = function () {
+      worker.unref() // idle workers must not prevent the process from exiting
+    }
+    poolWorker.terminate = function () { worker.terminate() }
+  }
+  return poolWorker
+}
+
+/**
+ * Runs the next pending lane (if any) in worker. If there are no pending lanes, the worker is returned to the pool of idle workers.
+ * @private
+ */
+const _runNextLane = function (worker: PoolWorker): void {
+  const lane = pendingLanes.shift()
+  if (lane === undefined) {
+    busyWorkers.splice(busyWorkers.indexOf(worker), 1)
+    worker.idle()
+    idleWorkers.push(worker)
+    return
+  }
+  worker.lane = lane
+  worker.run(lane)
+}
+
+/**
+ * Assigns pending lanes to idle workers, spawning new ones if the pool is not full yet
+ * @private
+ */
+const _dispatch = function (): void {
+  while (pendingLanes.length > 0) {
+    let worker = idleWorkers.pop()
+    if (worker === undefined) {
+      if (busyWorkers.length >= _maxWorkers()) return
+      worker = _spawnWorker()
+    }
+    busyWorkers.push(worker)
+    _runNextLane(worker)
+  }
+}
+
+/**
+ * Terminates a busy worker and removes it from the pool. Its lane (if any) is not settled.
+ * @private
+ */
+const _discardWorker = function (worker: PoolWorker): void {
+  worker.terminate()
+  worker.lane = undefined
+  busyWorkers.splice(busyWorkers.indexOf(worker), 1)
+  _dispatch()
+}
+
+/**
+ * Cancels a lane: it is removed from the queue if it has not started yet, or its worker is terminated otherwise.
+ * @private
+ */
+const _abortLane = function (lane: Lane): void {
+  const index = pendingLanes.indexOf(lane)
+  if (index !== -1) {
+    pendingLanes.splice(index, 1)
+  } else {
+    const worker = busyWorkers.find(worker => worker.lane === lane)
+    if (worker === undefined) return // the lane has already finished
+    _discardWorker(worker)
+  }
+  lane.reject(new AbortError())
+}
+
+/**
+ * Whether workers can be used in the current environment (some embedded webviews do not allow them)
+ * @private
+ */
+const _workersAvailable = function (): boolean {
+  if (!IS_BROWSER) return true
+  return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+}
+
+/**
+ * Returns the memory in octets that scryptROMixLanes() allocates: 128 * r * p octets for B plus 128 * r * ceil(N / k)
+ * octets for the table V of every lane computed at the same time (k being the TMTO factor)
+ * @private
+ *
+ * @throws {RangeError} if options.tmto or options.memoryBudget are not valid
+ */
+const _scryptROMixLanesMemory = function (N: number, r: number, p: number, options: ScryptROMixLanesOptions = {}): number {
+  const k = _tmtoFactor(N, r, options.tmto, options.memoryBudget)
+  return 128 * r * p + _simultaneousLanes(p, options.cooperative) * 128 * r * Math.ceil(N / k)
+}
+
+/**
+ * Returns the number of lanes that scryptROMixLanes() computes at the same time: one per worker, or just one in cooperative mode
+ * @private
+ */
+const _simultaneousLanes = function (p: number, cooperative?: boolean): number {
+  return (cooperative === true || !_workersAvailable()) ? 1 : Math.min(p, _maxWorkers())
+}
+
+/**
+ * Computes scryptROMix for the p blocks (lanes) in B32 in parallel, using a pool of Web Workers (browsers) or worker_threads (Node.js). The resulting blocks are written back into B32.
+ * @private
+ *
+ * @param B32 - B[0] || B[1] || ... || B[p - 1] as little-endian words (see _loadWords())
+ * @param N - CPU/Memory cost parameter
+ * @param r - The blocksize parameter
+ * @param p - Parallelization parameter
+ * @param options - The implementation of the scryptROMix core, the time-memory tradeoff, an optional AbortSignal (if aborted, all the lanes are cancelled
+ *                  and the promise is rejected with an AbortError), an optional progress callback that receives the combined progress of the p lanes, and whether to
+ *                  compute the lanes in time slices in the main thread (cooperative) instead of in workers. N, r, p and the memory of B and the tables V of the
+ *                  lanes computed at the same time are checked against options.limits before starting any lane.
+ */
+const scryptROMixLanes = async function (B32: Uint32Array, N: number, r: number, p: number, options: ScryptROMixLanesOptions = {}): Promise<void> {
+  const { signal, onProgress, backend, tmto, memoryBudget, limits } = options
+  if (signal !== undefined && signal.aborted) throw new AbortError() // eslint-disable-line
+  const wasm = _scryptWasm(backend)
+  const cooperative = options.cooperative === true || !_workersAvailable()
+  // Invalid values and parameters exceeding the limits are rejected before starting any lane
+  _checkScryptLimits({ N, r, p, memory: _scryptROMixLanesMemory(N, r, p, options) }, limits)
+
+  const blockLength32 = 32 * r
+
+  // The progress of every lane is combined, and reported at most every progressInterval ms
+  const progressInterval = (options.progressInterval !== undefined) ? options.progressInterval : 100
+  const laneProgress = new Array<number>(p).fill(0)
+  let lastProgressReport = Date.now()
+  const reportLaneProgress = function (lane: number, fraction: number): void {
+    if (onProgress === undefined) return
+    laneProgress[lane] = fraction
+    const now = Date.now()
+    if (now - lastProgressReport >= progressInterval) {
+      lastProgressReport = now
+      onProgress(laneProgress.reduce((total, fraction) => total + fraction) / p)
+    }
+  }
+
+  if (cooperative) {
+    for (let i = 0; i < p; i++) {
+      const offset = i * blockLength32
+      const Bi = B32.slice(offset, offset + blockLength32)
+      const laneOptions = {
+        backend,
+        tmto,
+        memoryBudget,
+        signal,
+        onProgress: (onProgress !== undefined) ? (fraction: number) => reportLaneProgress(i, fraction) : undefined,
+        progressInterval,
+        sliceMs: options.sliceMs,
+        limits
+      }
+      if (options.cooperative === true) await _scryptROMixWordsAsync(Bi, N, laneOptions)
+      else _scryptROMixWords(Bi, N, laneOptions)
+      B32.set(Bi, offset)
+    }
+    if (onProgress !== undefined) onProgress(1)
+    return
+  }
+
+  // Every block is transferred to a worker, so it is no longer usable in this thread
+  const lanes: Lane[] = []
+  const results: Array<Promise<void>> = []
+  for (let i = 0; i < p; i++) {
+    const offset = i * blockLength32
+    const Bi = B32.slice(offset, offset + blockLength32)
+    results.push(new Promise<Uint32Array>((resolve, reject) => {
+      lanes.push({
+        B: Bi,
+        N,
+        wasm,
+        tmto,
+        memoryBudget,
+        progressInterval: (onProgress !== undefined) ? progressInterval : undefined,
+        littleEndian: _littleEndianWords(),
+        onProgress: fraction => reportLaneProgress(i, fraction),
+        resolve,
+        reject
+      })
+    }).then(Bi => { B32.set(Bi, offset) }))
+  }
+  const onabort = function (): void {
+    for (const lane of lanes) _abortLane(lane)
+  }
+  if (signal !== undefined) signal.addEventListener('abort', onabort)
+  pendingLanes.push(...lanes)
+  _dispatch()
+
+  try {
+    await Promise.all(results)
+    if (onProgress !== undefined) onProgress(1)
+  } catch (error) {
+    // The derived key cannot be computed anymore, so the lanes that are still pending or running are just wasting resources
+    onabort()
+    throw error
+  } finally {
+    if (signal !== undefined) signal.removeEventListener('abort', onabort)
+  }
+}
+
+export { scryptROMixLanes, _scryptROMixLanesMemory, _simultaneousLanes }
@@ -0,0 +1,19 @@
+/**
+ * Compares two arrays of bytes in constant time (for a given length), so that the time it takes does not reveal how
+ * many leading bytes are equal
+ * @private
+ * @param a
+ * @param b
+ *
+ * @returns true if both arrays have the same length and contents
+ */
+const _timingSafeEqual = function (a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i]
+  }
+  return diff === 0
+}
+
+export { _timingSafeEqual }
@@ -0,0 +1,77 @@
+import { ScryptParameterError } from './errors'
+import { ScryptParams } from './scrypt'
+
+/**
+ * Checks that a value is a positive integer
+ * @private
+ *
+ * @throws {ScryptParameterError} if it is not
+ */
+const _validatePositiveInteger = function (param: string, value: number): void {
+  if (typeof value !== 'number' || !Number.isInteger(value)) throw new ScryptParameterError(param, 'ERR_SCRYPT_NOT_INTEGER', `${param} must be an integer`)
+  if (value <= 0) throw new ScryptParameterError(param, 'ERR_SCRYPT_OUT_OF_RANGE', `${param} must be > 0`)
+}
+
+/**
+ * Checks that N is valid for a block size r: a power of 2 larger than 1 and less than 2^(128 * r / 8) (RFC 7914), and
+ * no larger than 2^32, since Integerify only takes the first 32 bits of the last 64-octet block
+ * @private
+ *
+ * @throws {ScryptParameterError} if N is not valid
+ */
+const _validateN = function (N: number, r: number): void {
+  if (typeof N !== 'number' || !Number.isInteger(N)) throw new ScryptParameterError('N', 'ERR_SCRYPT_NOT_INTEGER', 'N must be an integer')
+  if (N <= 1) throw new ScryptParameterError('N', 'ERR_SCRYPT_OUT_OF_RANGE', 'N must be larger than 1')
+  // Bitwise operators only work up to 2^31, but the base-2 logarithm of a power of 2 is exact
+  if (!Number.isInteger(Math.log2(N))) throw new ScryptParameterError('N', 'ERR_SCRYPT_NOT_POWER_OF_2', 'N must be a power of 2')
+  if (N > 4294967296) throw new ScryptParameterError('N', 'ERR_SCRYPT_OUT_OF_RANGE', 'N must be <= 2^32')
+  if (Math.log2(N) >= 16 * r) throw new ScryptParameterError('N', 'ERR_SCRYPT_OUT_OF_RANGE', `N must be less than 2^(128 * r / 8) = 2^${16 * r}`)
+}
+
+/**
+ * Checks that dkLen is a positive integer less than or equal to (2^32 - 1) * hLen, where hLen is 32 (RFC 7914)
+ * @private
+ *
+ * @throws {ScryptParameterError} if dkLen is not valid
+ */
+const _validateDkLen = function (dkLen: number): void {
+  _validatePositiveInteger('dkLen', dkLen)
+  if (dkLen > 137438953440) throw new ScryptParameterError('dkLen', 'ERR_SCRYPT_OUT_OF_RANGE', 'dkLen must be <= (2^32 - 1) * hLen where hLen is 32')
+}
+
+/**
+ * Checks that B is a Uint32Array with a length of 128 * r octets for a positive integer r, as the input of
+ * scryptBlockMix and scryptROMix
+ * @private
+ *
+ * @throws {ScryptParameterError} if B is not valid
+ */
+const _validateBlock = function (B: Uint32Array): void {
+  // It also accepts arrays created in other realms (e.g. iframes), where instanceof would fail
+  if (Object.prototype.toString.call(B) !== '[object Uint32Array]') throw new ScryptParameterError('B', 'ERR_SCRYPT_INVALID_TYPE', 'B must be a Uint32Array')
+  if (B.byteLength === 0 || B.byteLength % 128 !== 0) throw new ScryptParameterError('B', 'ERR_SCRYPT_INVALID_LENGTH', 'B must be 128 * r octets long, with r a positive integer')
+}
+
+/**
+ * Checks that the scrypt parameters (and optionally the length of the derived key) comply with RFC 7914:
+ * - N is a power of 2 larger than 1 and less than 2^(128 * r / 8). This implementation also requires N <= 2^32.
+ * - r and p are positive integers satisfying p * r <= (2^32 - 1) * hLen / 128, where hLen is 32
+ * - dkLen is a positive integer less than or equal to (2^32 - 1) * hLen
+ *
+ * It is used by every function that accepts scrypt parameters, but it can be called beforehand, e.g. to validate user input.
+ *
+ * @param scryptParams - the scrypt parameters N, r and p
+ * @param dkLen - the length in octets of the derived key
+ *
+ * @throws {ScryptParameterError} if any parameter is not valid. Its param and code properties tell which one and why
+ */
+const validateScryptParams = function (scryptParams: ScryptParams, dkLen?: number): void {
+  const { N, r, p } = scryptParams
+  _validatePositiveInteger('r', r)
+  _validatePositiveInteger('p', p)
+  if (p * r > 1073741823.75) throw new ScryptParameterError('p', 'ERR_SCRYPT_OUT_OF_RANGE', 'p must satisfy p * r <= (2^32 - 1) * hLen / 128 where hLen is 32')
+  _validateN(N, r)
+  if (dkLen !== undefined) _validateDkLen(dkLen)
+}
+
+export { validateScryptParams, _validateN, _validateDkLen, _validateBlock }
@@ -0,0 +1,121 @@
+import { scrypt, ScryptOptions, ScryptParams } from './scrypt'
+import { _randomString } from './randomString'
+import { _timingSafeEqual } from './timingSafeEqual'
+import { TypedArray } from './shared-types'
+
+/** Werkzeug's defaults for the scrypt method of generate_password_hash() */
+const WERKZEUG_SCRYPT_PARAMS: Readonly<ScryptParams> = Object.freeze({ N: 32768, r: 8, p: 1 })
+/** Werkzeug's SALT_CHARS */
+const WERKZEUG_SALT_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+/** Default salt_length of Werkzeug's generate_password_hash() */
+const WERKZEUG_SALT_LENGTH = 16
+/** Length in octets of the key derived by Werkzeug's scrypt method */
+const WERKZEUG_DKLEN = 64
+
+/**
+ * Options for werkzeugScrypt.hash()
+ */
+export interface WerkzeugHashOptions extends ScryptOptions {
+  /** scrypt parameters. The ones not provided default to Werkzeug's: N=32768, r=8, p=1 */
+  scryptParams?: Partial<ScryptParams>
+  /** The salt. Defaults to a random string of 16 letters and digits, as Werkzeug does. It cannot contain '$' */
+  salt?: string
+}
+
+/**
+ * The contents of a Werkzeug scrypt password hash
+ * @private
+ */
+export interface WerkzeugHash extends ScryptParams {
+  salt: string
+  hash: Uint8Array
+}
+
+/**
+ * Encodes scrypt parameters, salt and derived key as Werkzeug does: `scrypt:<N>:<r>:<p>$<salt>$<hex hash>`
+ * @private
+ */
+const _werkzeugEncode = function (werkzeugHash: WerkzeugHash): string {
+  let hex = ''
+  for (const byte of werkzeugHash.hash) hex += byte.toString(16).padStart(2, '0')
+  return `scrypt:${werkzeugHash.N}:${werkzeugHash.r}:${werkzeugHash.p}$${werkzeugHash.salt}$${hex}`
+}
+
+/**
+ * Parses a Werkzeug scrypt password hash. As in Werkzeug, a bare `scrypt` method means the default parameters
+ * @private
+ *
+ * @throws {RangeError} if encoded is not a valid Werkzeug scrypt password hash
+ */
+const _werkzeugDecode = function (encoded: string): WerkzeugHash {
+  const match = /^scrypt(?::(\d{1,16}):(\d{1,10}):(\d{1,10}))?\$([^$]*)\$((?:[0-9a-f]{2})+)$/.exec(encoded)
+  if (match === null) throw new RangeError('invalid Werkzeug scrypt password hash')
+  const params = (match[1] === undefined)
+    ? WERKZEUG_SCRYPT_PARAMS
+    : { N: parseInt(match[1]), r: parseInt(match[2]), p: parseInt(match[3]) }
+  const hash = new Uint8Array(match[5].length / 2)
+  for (let i = 0; i < hash.length; i++) hash[i] = parseInt(match[5].slice(2 * i, 2 * i + 2), 16)
+  return { ...params, salt: match[4], hash }
+}
+
+/**
+ * Derives a key from a password as Werkzeug's generate_password_hash() does with the scrypt method (a 64-byte key,
+ * with the UTF-8 encoding of the salt string as the scrypt salt) and returns it encoded as Werkzeug does:
+ * `scrypt:<N>:<r>:<p>$<salt>$<hex hash>`
+ *
+ * @param password - the password, either a unicode string or its binary encoding
+ * @param options - the scrypt parameters and the salt (Werkzeug's defaults if not provided), and any option accepted by scrypt()
+ *
+ * @throws {RangeError} if the salt contains '$'
+ *
+ * @returns the encoded password hash, which can be checked with werkzeugScrypt.verify() or Werkzeug's check_password_hash()
+ */
+const hash = async function (password: string | ArrayBuffer | TypedArray | DataView, options: WerkzeugHashOptions = {}): Promise<string> {
+  const { scryptParams = {}, salt = _randomString(WERKZEUG_SALT_LENGTH, WERKZEUG_SALT_CHARS), ...scryptOptions } = options
+  if (salt.includes('$')) throw new RangeError('the salt cannot contain \'$\'')
+  const params = { ...WERKZEUG_SCRYPT_PARAMS, ...scryptParams }
+  const DK = await scrypt(password, salt, WERKZEUG_DKLEN, params, scryptOptions)
+  return _werkzeugEncode({ ...params, salt, hash: new Uint8Array(DK) })
+}
+
+/**
+ * Checks a password against a Werkzeug scrypt password hash, as Werkzeug's check_password_hash() does
+ *
+ * @param encoded - a Werkzeug scrypt password hash: `scrypt:<N>:<r>:<p>$<salt>$<hex hash>` or `scrypt$<salt>$<hex hash>`
+ * @param password - the password to check, either a unicode string or its binary encoding
+ * @param options - options accepted by scrypt(), such as the backend or an AbortSignal
+ *
+ * @throws {RangeError} if encoded is not a valid Werkzeug scrypt password hash
+ *
+ * @returns true if the password matches
+ */
+const verify = async function (encoded: string, password: string | ArrayBuffer | TypedArray | DataView, options: ScryptOptions = {}): Promise<boolean> {
+  const { N, r, p, salt, hash: expected } = _werkzeugDecode(encoded)
+  const DK = await scrypt(password, salt, WERKZEUG_DKLEN, { N, r, p }, options)
+  return _timingSafeEqual(new Uint8Array(DK), expected)
+}
+
+/**
+ * Checks whether a Werkzeug scrypt password hash was computed with scrypt parameters other than the ones in policy
+ *
+ * @param encoded - a Werkzeug scrypt password hash
+ * @param policy - the scrypt parameters the hash should have. The ones not provided default to Werkzeug's: N=32768, r=8, p=1
+ *
+ * @throws {RangeError} if encoded is not a valid Werkzeug scrypt password hash
+ */
+const needsRehash = function (encoded: string, policy: Partial<ScryptParams> = {}): boolean {
+  const { N, r, p } = _werkzeugDecode(encoded)
+  const params = { ...WERKZEUG_SCRYPT_PARAMS, ...policy }
+  return N !== params.N || r !== params.r || p !== params.p
+}
+
+/**
+ * Compatibility with the scrypt password hashes of Werkzeug (and so Flask) 3 or newer
+ */
+const werkzeugScrypt = {
+  hash,
+  verify,
+  needsRehash
+}
+
+export { werkzeugScrypt, _werkzeugEncode, _werkzeugDecode }
@@ -0,0 +1,173 @@
+;; scryptROMix, scryptBlockMix and Salsa20/8 Core in WebAssembly (RFC 7914).
+;;
+;; Every instance works on its own memory, which the JS side grows to fit the
+;; following layout (r is the block size parameter):
+;;   [0, 128 * r)                     B, the block being mixed (X in scryptROMix)
+;;   [128 * r, 256 * r)               T, where the skipped V[j] are recomputed in TMTO mode
+;;   [256 * r, 256 * r + 64)          X in scryptBlockMix
+;;   [256 * r + 64, 320 * r + 64)     Y[1] || Y[3] || ... || Y[2 * r - 1] in scryptBlockMix
+;;   [320 * r + 64, ...)              V[0] || V[k] || V[2 * k] || ..., 128 * r octets each
+;;
+;; In time-memory tradeoff (TMTO) mode, only every k-th V[i] is stored (k = 1
+;; stores all of them).
+;;
+;; Words are little endian, as in the JS implementation.
+;;
+;; Build it with `npm run build:wasm`, which updates src/ts/scryptWasmBinary.ts
+(module
+  (memory (export "memory") 1)
+
+  ;; Copies len octets (a multiple of 8) from src to dst
+  (func $copy (param $dst i32) (param $src i32) (param $len i32)
+    (local $end i32)
+    (local.set $end (i32.add (local.get $src) (local.get $len)))
+    (loop $copy
+      (i64.store (local.get $dst) (i64.load (local.get $src)))
+      (local.set $dst (i32.add (local.get $dst) (i32.const 8)))
+      (local.set $src (i32.add (local.get $src) (i32.const 8)))
+      (br_if $copy (i32.lt_u (local.get $src) (local.get $end)))))
+
+  ;; XORs len octets (a multiple of 8) from src to dst
+  (func $xor (param $dst i32) (param $src i32) (param $len i32)
+    (local $end i32)
+    (local.set $end (i32.add (local.get $src) (local.get $len)))
+    (loop $xor
+      (i64.store (local.get $dst) (i64.xor (i64.load (local.get $dst)) (i64.load (local.get $src))))
+      (local.set $dst (i32.add (local.get $dst) (i32.const 8)))
+      (local.set $src (i32.add (local.get $src) (i32.const 8)))
+      (br_if $xor (i32.lt_u (local.get $src) (local.get $end)))))
+
+  ;; Salsa20/8 Core of the 64 octets at X, in place
+  (func $salsa208Core (param $X i32)
+    (local $x0 i32) (local $x1 i32) (local $x2 i32) (local $x3 i32) (local $x4 i32) (local $x5 i32) (local $x6 i32) (local $x7 i32) (local $x8 i32) (local $x9 i32) (local $x10 i32) (local $x11 i32) (local $x12 i32) (local $x13 i32) (local $x14 i32) (local $x15 i32) (local $i i32)
+    (local.set $x0 (i32.load offset=0 (local.get $X)))
+    (local.set $x1 (i32.load offset=4 (local.get $X)))
+    (local.set $x2 (i32.load offset=8 (local.get $X)))
+    (local.set $x3 (i32.load offset=12 (local.get $X)))
+    (local.set $x4 (i32.load offset=16 (local.get $X)))
+    (local.set $x5 (i32.load offset=20 (local.get $X)))
+    (local.set $x6 (i32.load offset=24 (local.get $X)))
+    (local.set $x7 (i32.load offset=28 (local.get $X)))
+    (local.set $x8 (i32.load offset=32 (local.get $X)))
+    (local.set $x9 (i32.load offset=36 (local.get $X)))
+    (local.set $x10 (i32.load offset=40 (local.get $X)))
+    (local.set $x11 (i32.load offset=44 (local.get $X)))
+    (local.set $x12 (i32.load offset=48 (local.get $X)))
+    (local.set $x13 (i32.load offset=52 (local.get $X)))
+    (local.set $x14 (i32.load offset=56 (local.get $X)))
+    (local.set $x15 (i32.load offset=60 (local.get $X)))
+    (local.set $i (i32.const 4)) ;; 4 double rounds
+    (loop $rounds
+      ;; column round
+      (local.set $x4 (i32.xor (local.get $x4) (i32.rotl (i32.add (local.get $x0) (local.get $x12)) (i32.const 7))))
+      (local.set $x8 (i32.xor (local.get $x8) (i32.rotl (i32.add (local.get $x4) (local.get $x0)) (i32.const 9))))
+      (local.set $x12 (i32.xor (local.get $x12) (i32.rotl (i32.add (local.get $x8) (local.get $x4)) (i32.const 13))))
+      (local.set $x0 (i32.xor (local.get $x0) (i32.rotl (i32.add (local.get $x12) (local.get $x8)) (i32.const 18))))
+      (local.set $x9 (i32.xor (local.get $x9) (i32.rotl (i32.add (local.get $x5) (local.get $x1)) (i32.const 7))))
+      (local.set $x13 (i32.xor (local.get $x13) (i32.rotl (i32.add (local.get $x9) (local.get $x5)) (i32.const 9))))
+      (local.set $x1 (i32.xor (local.get $x1) (i32.rotl (i32.add (local.get $x13) (local.get $x9)) (i32.const 13))))
+      (local.set $x5 (i32.xor (local.get $x5) (i32.rotl (i32.add (local.get $x1) (local.get $x13)) (i32.const 18))))
+      (local.set $x14 (i32.xor (local.get $x14) (i32.rotl (i32.add (local.get $x10) (local.get $x6)) (i32.const 7))))
+      (local.set $x2 (i32.xor (local.get $x2) (i32.rotl (i32.add (local.get $x14) (local.get $x10)) (i32.const 9))))
+      (local.set $x6 (i32.xor (local.get $x6) (i32.rotl (i32.add (local.get $x2) (local.get $x14)) (i32.const 13))))
+      (local.set $x10 (i32.xor (local.get $x10) (i32.rotl (i32.add (local.get $x6) (local.get $x2)) (i32.const 18))))
+      (local.set $x3 (i32.xor (local.get $x3) (i32.rotl (i32.add (local.get $x15) (local.get $x11)) (i32.const 7))))
+      (local.set $x7 (i32.xor (local.get $x7) (i32.rotl (i32.add (local.get $x3) (local.get $x15)) (i32.const 9))))
+      (local.set $x11 (i32.xor (local.get $x11) (i32.rotl (i32.add (local.get $x7) (local.get $x3)) (i32.const 13))))
+      (local.set $x15 (i32.xor (local.get $x15) (i32.rotl (i32.add (local.get $x11) (local.get $x7)) (i32.const 18))))
+      ;; row round
+      (local.set $x1 (i32.xor (local.get $x1) (i32.rotl (i32.add (local.get $x0) (local.get $x3)) (i32.const 7))))
+      (local.set $x2 (i32.xor (local.get $x2) (i32.rotl (i32.add (local.get $x1) (local.get $x0)) (i32.const 9))))
+      (local.set $x3 (i32.xor (local.get $x3) (i32.rotl (i32.add (local.get $x2) (local.get $x1)) (i32.const 13))))
+      (local.set $x0 (i32.xor (local.get $x0) (i32.rotl (i32.add (local.get $x3) (local.get $x2)) (i32.const 18))))
+      (local.set $x6 (i32.xor (local.get $x6) (i32.rotl (i32.add (local.get $x5) (local.get $x4)) (i32.const 7))))
+      (local.set $x7 (i32.xor (local.get $x7) (i32.rotl (i32.add (local.get $x6) (local.get $x5)) (i32.const 9))))
+      (local.set $x4 (i32.xor (local.get $x4) (i32.rotl (i32.add (local.get $x7) (local.get $x6)) (i32.const 13))))
+      (local.set $x5 (i32.xor (local.get $x5) (i32.rotl (i32.add (local.get $x4) (local.get $x7)) (i32.const 18))))
+      (local.set $x11 (i32.xor (local.get $x11) (i32.rotl (i32.add (local.get $x10) (local.get $x9)) (i32.const 7))))
+      (local.set $x8 (i32.xor (local.get $x8) (i32.rotl (i32.add (local.get $x11) (local.get $x10)) (i32.const 9))))
+      (local.set $x9 (i32.xor (local.get $x9) (i32.rotl (i32.add (local.get $x8) (local.get $x11)) (i32.const 13))))
+      (local.set $x10 (i32.xor (local.get $x10) (i32.rotl (i32.add (local.get $x9) (local.get $x8)) (i32.const 18))))
+      (local.set $x12 (i32.xor (local.get $x12) (i32.rotl (i32.add (local.get $x15) (local.get $x14)) (i32.const 7))))
+      (local.set $x13 (i32.xor (local.get $x13) (i32.rotl (i32.add (local.get $x12) (local.get $x15)) (i32.const 9))))
+      (local.set $x14 (i32.xor (local.get $x14) (i32.rotl (i32.add (local.get $x13) (local.get $x12)) (i32.const 13))))
+      (local.set $x15 (i32.xor (local.get $x15) (i32.rotl (i32.add (local.get $x14) (local.get $x13)) (i32.const 18))))
+      (br_if $rounds (local.tee $i (i32.sub (local.get $i) (i32.const 1)))))
+    (i32.store offset=0 (local.get $X) (i32.add (local.get $x0) (i32.load offset=0 (local.get $X))))
+    (i32.store offset=4 (local.get $X) (i32.add (local.get $x1) (i32.load offset=4 (local.get $X))))
+    (i32.store offset=8 (local.get $X) (i32.add (local.get $x2) (i32.load offset=8 (local.get $X))))
+    (i32.store offset=12 (local.get $X) (i32.add (local.get $x3) (i32.load offset=12 (local.get $X))))
+    (i32.store offset=16 (local.get $X) (i32.add (local.get $x4) (i32.load offset=16 (local.get $X))))
+    (i32.store offset=20 (local.get $X) (i32.add (local.get $x5) (i32.load offset=20 (local.get $X))))
+    (i32.store offset=24 (local.get $X) (i32.add (local.get $x6) (i32.load offset=24 (local.get $X))))
+    (i32.store offset=28 (local.get $X) (i32.add (local.get $x7) (i32.load offset=28 (local.get $X))))
+    (i32.store offset=32 (local.get $X) (i32.add (local.get $x8) (i32.load offset=32 (local.get $X))))
+    (i32.store offset=36 (local.get $X) (i32.add (local.get $x9) (i32.load offset=36 (local.get $X))))
+    (i32.store offset=40 (local.get $X) (i32.add (local.get $x10) (i32.load offset=40 (local.get $X))))
+    (i32.store offset=44 (local.get $X) (i32.add (local.get $x11) (i32.load offset=44 (local.get $X))))
+    (i32.store offset=48 (local.get $X) (i32.add (local.get $x12) (i32.load offset=48 (local.get $X))))
+    (i32.store offset=52 (local.get $X) (i32.add (local.get $x13) (i32.load offset=52 (local.get $X))))
+    (i32.store offset=56 (local.get $X) (i32.add (local.get $x14) (i32.load offset=56 (local.get $X))))
+    (i32.store offset=60 (local.get $X) (i32.add (local.get $x15) (i32.load offset=60 (local.get $X)))))
+
+  ;; scryptBlockMix of the 128 * r octets at B
+  (func $scryptBlockMix (param $B i32) (param $r i32)
+    (local $X i32) (local $Yodd i32) (local $i i32) (local $half i32)
+    (local.set $half (i32.shl (local.get $r) (i32.const 6))) ;; 64 * r
+    (local.set $X (i32.shl (local.get $half) (i32.const 2)))
+    (local.set $Yodd (i32.add (local.get $X) (i32.const 64)))
+    ;; 1. X = B[2 * r - 1]
+    (call $copy (local.get $X) (i32.add (local.get $B) (i32.sub (i32.shl (local.get $half) (i32.const 1)) (i32.const 64))) (i32.const 64))
+    ;; 2. for i = 0 to 2 * r - 1 do T = X xor B[i]; X = Salsa (T); Y[i] = X
+    ;; 3. B' = (Y[0], Y[2], ..., Y[2 * r - 2], Y[1], Y[3], ..., Y[2 * r - 1])
+    (loop $blocks
+      ;; even block: Y[i] goes to B'[i / 2], which is not read again
+      (call $xor (local.get $X) (i32.add (local.get $B) (i32.shl (local.get $i) (i32.const 6))) (i32.const 64))
+      (call $salsa208Core (local.get $X))
+      (call $copy (i32.add (local.get $B) (i32.shl (local.get $i) (i32.const 5))) (local.get $X) (i32.const 64))
+      (local.set $i (i32.add (local.get $i) (i32.const 1)))
+      ;; odd block: Y[i] is kept in Yodd until the end
+      (call $xor (local.get $X) (i32.add (local.get $B) (i32.shl (local.get $i) (i32.const 6))) (i32.const 64))
+      (call $salsa208Core (local.get $X))
+      (call $copy (i32.add (local.get $Yodd) (i32.shl (i32.shr_u (local.get $i) (i32.const 1)) (i32.const 6))) (local.get $X) (i32.const 64))
+      (local.set $i (i32.add (local.get $i) (i32.const 1)))
+      (br_if $blocks (i32.lt_u (local.get $i) (i32.shl (local.get $r) (i32.const 1)))))
+    (call $copy (i32.add (local.get $B) (local.get $half)) (local.get $Yodd) (local.get $half)))
+
+  ;; Offset of the stored V[i * k]
+  (func $V (param $i i32) (param $r i32) (result i32)
+    (i32.add
+      (i32.add (i32.mul (local.get $r) (i32.const 320)) (i32.const 64))
+      (i32.mul (local.get $i) (i32.shl (local.get $r) (i32.const 7)))))
+
+  ;; Iteration i of the first loop of scryptROMix: V[i] = X (only if i is a multiple of k); X = scryptBlockMix (X)
+  (func (export "fill") (param $i i32) (param $r i32) (param $k i32)
+    (if (i32.eqz (i32.rem_u (local.get $i) (local.get $k)))
+      (then
+        (call $copy (call $V (i32.div_u (local.get $i) (local.get $k)) (local.get $r)) (i32.const 0) (i32.shl (local.get $r) (i32.const 7)))))
+    (call $scryptBlockMix (i32.const 0) (local.get $r)))
+
+  ;; Iteration of the second loop of scryptROMix: j = Integerify (X) mod N; X = scryptBlockMix (X xor V[j])
+  (func (export "mix") (param $N i32) (param $r i32) (param $k i32)
+    (local $j i32) (local $len i32) (local $T i32) (local $steps i32)
+    (local.set $len (i32.shl (local.get $r) (i32.const 7))) ;; 128 * r
+    ;; N is a power of 2, so mod N is just a mask of the first (little-endian) word of B[2 * r - 1]
+    (local.set $j (i32.and
+      (i32.load (i32.sub (local.get $len) (i32.const 64)))
+      (i32.sub (local.get $N) (i32.const 1))))
+    (if (i32.eq (local.get $k) (i32.const 1))
+      (then
+        (call $xor (i32.const 0) (call $V (local.get $j) (local.get $r)) (local.get $len)))
+      (else
+        ;; V[j] is recomputed in T from the nearest stored V[i] with i <= j
+        (local.set $T (local.get $len))
+        (call $copy (local.get $T) (call $V (i32.div_u (local.get $j) (local.get $k)) (local.get $r)) (local.get $len))
+        (local.set $steps (i32.rem_u (local.get $j) (local.get $k)))
+        (block $recomputed
+          (loop $recompute
+            (br_if $recomputed (i32.eqz (local.get $steps)))
+            (call $scryptBlockMix (local.get $T) (local.get $r))
+            (local.set $steps (i32.sub (local.get $steps) (i32.const 1)))
+            (br $recompute)))
+        (call $xor (i32.const 0) (local.get $T) (local.get $len))))
+    (call $scryptBlockMix (i32.const 0) (local.get $r))))
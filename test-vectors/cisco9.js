@@ -0,0 +1,42 @@
+module.exports = [
+  {
+    comment: 'example in Cisco documentation (enable algorithm-type scrypt secret cisco)',
+    input: {
+      password: 'cisco',
+      encoded: '$9$nhEmQVczB7dqsO$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM'
+    },
+    output: true
+  },
+  {
+    comment: 'example in hashcat\'s list of example hashes (mode 9300)',
+    input: {
+      password: 'hashcat',
+      encoded: '$9$2MJBozw/9R3UsU$2lFhcKvpghcyw8deP25GOfyZaagyUOGBymkryvOdfo6'
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'Cisco',
+      encoded: '$9$nhEmQVczB7dqsO$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM'
+    },
+    output: false
+  },
+  {
+    comment: 'invalid type 9 hash (13-character salt)',
+    input: {
+      password: 'cisco',
+      encoded: '$9$nhEmQVczB7dqs$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM'
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid type 9 hash (type 8)',
+    input: {
+      password: 'cisco',
+      encoded: '$8$nhEmQVczB7dqsO$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM'
+    },
+    error: RangeError
+  }
+]
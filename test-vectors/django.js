@@ -0,0 +1,59 @@
+module.exports = [
+  // The first one is the scrypt vector in Django's own test suite (tests/auth_tests/test_hashers.py). The others are the output of Django 4.2.30's make_password(password, salt, 'scrypt'), and make_password(password, salt, hasher) with a ScryptPasswordHasher subclass setting work_factor = 2 ** 10 and parallelism = 2 for the N=1024, p=2 one
+  {
+    comment: 'Django defaults (N=16384, r=8, p=1) and a non-ASCII password',
+    input: {
+      password: 'lètmein',
+      encoded: 'scrypt$16384$seasalt$8$1$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw=='
+    },
+    output: true
+  },
+  {
+    comment: 'Django defaults (N=16384, r=8, p=1) and a 22-character salt',
+    input: {
+      password: 'password',
+      encoded: 'scrypt$16384$Gn0b4hCZKpjV6XlrmDjf4A$8$1$4WfvRcpZ0RUZtAMDVLAqG4iOLfHAuOeR8FWJCB4C+7Ln/+NyL+DjdMDdf9IZxNMa1gcGM0SPAhKG6QHxG7Mg8Q=='
+    },
+    output: true
+  },
+  {
+    comment: 'N=1024, r=8, p=2',
+    input: {
+      password: 'pleaseletmein',
+      encoded: 'scrypt$1024$SodiumChloride$8$2$E6uitPIAIqA0EcNuYM/aUNEcKmqjeekvgGkHXmIpM4lwRD+f4HMBItVodCHdHvvbVqDvMFV0JujvzntuV2Tzhg=='
+    },
+    output: true
+  },
+  {
+    comment: 'Django defaults (N=16384, r=8, p=1) and an empty password',
+    input: {
+      password: '',
+      encoded: 'scrypt$16384$xR8pQ2mN7vT4kL9sW3jH6c$8$1$GapaKRHGjwlI+OzNKa5wCoDTgb1K9R5YVT7uiRFFYJc/G16Z2uq+pFlebkcKGwWJYxRyrJc2BD6dXAYLB7wwzQ=='
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'letmein',
+      encoded: 'scrypt$16384$seasalt$8$1$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw=='
+    },
+    output: false
+  },
+  {
+    comment: 'invalid Django scrypt hash (missing p)',
+    input: {
+      password: 'lètmein',
+      encoded: 'scrypt$16384$seasalt$8$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw=='
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid Django scrypt hash (other algorithm)',
+    input: {
+      password: 'lètmein',
+      encoded: 'pbkdf2_sha256$16384$seasalt$8$1$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw=='
+    },
+    error: RangeError
+  }
+]
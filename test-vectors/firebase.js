@@ -0,0 +1,59 @@
+// The hash configuration of the example in the README of Firebase's scrypt (https://github.com/firebase/scrypt)
+const config = {
+  saltSeparator: 'Bw==',
+  signerKey: 'jxspr8Ki0RYycVU8zykbdLGjFQ3McFUH0uiiTvC8pVMXAn210wjLNmdZJzxUECKbm0QsEmYUSDzZvpjeJ9WmXA==',
+  rounds: 8,
+  memCost: 14
+}
+
+module.exports = [
+  // The first one is the example in the README of Firebase's scrypt. The others were computed with Node.js crypto.scrypt() and crypto.createCipheriv('aes-256-ctr', key, Buffer.alloc(16))
+  {
+    comment: 'example in the README of Firebase\'s scrypt',
+    input: {
+      password: 'user1password',
+      firebaseHash: { ...config, salt: '42xEC+ixf3L2lw==', hash: 'lSrfV15cpx95/sZS2W9c9Kp6i/LVgQNDNC/qzrCnh1SAyZvqmZqAjTdn3aoItz+VHjoZilo78198JAdRuid5lQ==' }
+    },
+    output: true
+  },
+  {
+    comment: 'non-ASCII password',
+    input: {
+      password: 'lètmein',
+      firebaseHash: { ...config, salt: 'c2VhIHNhbHQ=', hash: 'h36ptM86WALZqZCSVeqZdFpvlDwtMJLHTQCcTIaTttFU3V7llNlpBIpkm5AYfelzhQDmyaIHEzuk8B68iPJP1w==' }
+    },
+    output: true
+  },
+  {
+    comment: 'empty password',
+    input: {
+      password: '',
+      firebaseHash: { ...config, salt: 'AAECAwQFBgcICQoLDA0ODw==', hash: 'uowcSLMINofseY7R1xcJnxfrlPgtBDpLfyDnYblfUB4A3OTk85VexIJ6vqX9ulnXEI4mcaVxBrGp8yjb7e3yFA==' }
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'user2password',
+      firebaseHash: { ...config, salt: '42xEC+ixf3L2lw==', hash: 'lSrfV15cpx95/sZS2W9c9Kp6i/LVgQNDNC/qzrCnh1SAyZvqmZqAjTdn3aoItz+VHjoZilo78198JAdRuid5lQ==' }
+    },
+    output: false
+  },
+  {
+    comment: 'wrong salt separator',
+    input: {
+      password: 'user1password',
+      firebaseHash: { ...config, saltSeparator: 'CA==', salt: '42xEC+ixf3L2lw==', hash: 'lSrfV15cpx95/sZS2W9c9Kp6i/LVgQNDNC/qzrCnh1SAyZvqmZqAjTdn3aoItz+VHjoZilo78198JAdRuid5lQ==' }
+    },
+    output: false
+  },
+  {
+    comment: 'invalid base64 salt',
+    input: {
+      password: 'user1password',
+      firebaseHash: { ...config, salt: '42xEC+ixf3L2lw=?', hash: 'lSrfV15cpx95/sZS2W9c9Kp6i/LVgQNDNC/qzrCnh1SAyZvqmZqAjTdn3aoItz+VHjoZilo78198JAdRuid5lQ==' }
+    },
+    error: RangeError
+  }
+]
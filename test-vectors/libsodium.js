@@ -0,0 +1,79 @@
+module.exports = {
+  // Created with libsodium's crypto_pwhash_scryptsalsa208sha256_str()
+  verify: [
+    {
+      comment: 'OPSLIMIT_INTERACTIVE, MEMLIMIT_INTERACTIVE (N=16384, r=8, p=1)',
+      input: {
+        password: 'password',
+        str: '$7$C6..../....ei.1DvNTmNXyMsnTBcPcSMTTGnIt3IXVOrp7R2ie3w6$cT343mHl8Z5wdAeL5ZlW42LzzHPSpOOIoGm4Xkf2J.A'
+      },
+      output: true
+    },
+    {
+      comment: 'OPSLIMIT_INTERACTIVE, MEMLIMIT_INTERACTIVE (N=16384, r=8, p=1) and a non-ASCII password',
+      input: {
+        password: 'lètmein',
+        str: '$7$C6..../....h6Q9F2aVxzXUpdBMM3w3Bu9KeAgIXxXPqfz4gt81K9B$wRxMp49FdXl1Foi80ZEJLExDPJznHpOfF0Mx3fRaeh.'
+      },
+      output: true
+    },
+    {
+      comment: 'OPSLIMIT_INTERACTIVE, MEMLIMIT_INTERACTIVE (N=16384, r=8, p=1) and an empty password',
+      input: {
+        password: '',
+        str: '$7$C6..../....amZmoeXR3iYVosznJeUVMG2UKSYtsAlqbrXL0p1Vsl6$tz.FL.mwSMLkRUBT/3nAmS2Qpf2W7AK07VzGK9EugU2'
+      },
+      output: true
+    },
+    {
+      comment: 'opslimit=32768, memlimit=1048576 (N=1024, r=8, p=1)',
+      input: {
+        password: 'pleaseletmein',
+        str: '$7$86..../....AuCzw7g4QzcEXTj69rka2HZHnusmhGtCcC68q.lqKiA$CDTCS19WOEUpMeWA58HvijhqDOZ0YVGadpuCETJvGB3'
+      },
+      output: true
+    },
+    {
+      comment: 'opslimit=4000000, memlimit=1048576 (N=1024, r=8, p=122)',
+      input: {
+        password: 'pleaseletmein',
+        str: '$7$86....u/...mNkixG0fhEb4tl.g8ZKEtq7tu98uHJGKZUAgbnB.RID$E.gKW5dyJ4PwN7/jpbBZihE.P7j4/8A8wzEwxwL4./8'
+      },
+      output: true
+    },
+    {
+      comment: 'wrong password',
+      input: {
+        password: 'passw0rd',
+        str: '$7$C6..../....ei.1DvNTmNXyMsnTBcPcSMTTGnIt3IXVOrp7R2ie3w6$cT343mHl8Z5wdAeL5ZlW42LzzHPSpOOIoGm4Xkf2J.A'
+      },
+      output: false
+    },
+    {
+      comment: 'invalid $7$ string (truncated hash)',
+      input: {
+        password: 'password',
+        str: '$7$C6..../....ei.1DvNTmNXyMsnTBcPcSMTTGnIt3IXVOrp7R2ie3w6$cT343mHl8Z5wdAeL5ZlW42LzzHPSpOOIoGm4Xkf2J'
+      },
+      error: RangeError
+    },
+    {
+      comment: 'invalid $7$ string (invalid character in r)',
+      input: {
+        password: 'password',
+        str: '$7$C6.-../....ei.1DvNTmNXyMsnTBcPcSMTTGnIt3IXVOrp7R2ie3w6$cT343mHl8Z5wdAeL5ZlW42LzzHPSpOOIoGm4Xkf2J.A'
+      },
+      error: RangeError
+    }
+  ],
+  // The scrypt parameters picked by libsodium
+  pickParams: [
+    { input: { opslimit: 524288, memlimit: 16777216 }, output: { N: 16384, r: 8, p: 1 } },
+    { input: { opslimit: 33554432, memlimit: 1073741824 }, output: { N: 1048576, r: 8, p: 1 } },
+    { input: { opslimit: 32768, memlimit: 1048576 }, output: { N: 1024, r: 8, p: 1 } },
+    { input: { opslimit: 4000000, memlimit: 1048576 }, output: { N: 1024, r: 8, p: 122 } },
+    { input: { opslimit: 1000, memlimit: 100000000 }, output: { N: 1024, r: 8, p: 1 } },
+    { input: { opslimit: 1048576, memlimit: 33554432 }, output: { N: 32768, r: 8, p: 1 } },
+    { input: { opslimit: 100000, memlimit: 1073741824 }, output: { N: 2048, r: 8, p: 1 } }
+  ]
+}
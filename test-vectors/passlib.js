@@ -0,0 +1,67 @@
+module.exports = [
+  // The first one is the example in passlib's documentation of passlib.hash.scrypt. The others were created with passlib 1.7.4's scrypt.using(...).hash()
+  {
+    comment: 'passlib defaults (ln=16, r=8, p=1)',
+    input: {
+      password: 'password',
+      encoded: '$scrypt$ln=16,r=8,p=1$aM15713r3Xsvxbi31lqr1Q$nFNh2CVHVjNldFVKDHDlm4CbdRSCdEBsjjJxD+iCs5E'
+    },
+    output: true
+  },
+  {
+    comment: 'ln=14, r=8, p=1 and a non-ASCII password',
+    input: {
+      password: 'lètmein',
+      encoded: '$scrypt$ln=14,r=8,p=1$3XuPESLknLPWem/NuVcKIQ$d/W7FhjNUM3qw5EubLv3x90Ttf9Z0URobrNMRGfgwlA'
+    },
+    output: true
+  },
+  {
+    comment: 'ln=10, r=8, p=2',
+    input: {
+      password: 'pleaseletmein',
+      encoded: '$scrypt$ln=10,r=8,p=2$J0SotbbWmjOGkDLmvLfWWg$4kTk68YWH32jViHZhb/MgJAFF0T08l7FENvT6OBlN7o'
+    },
+    output: true
+  },
+  {
+    comment: 'ln=12, r=4, p=1 and an empty password',
+    input: {
+      password: '',
+      encoded: '$scrypt$ln=12,r=4,p=1$ZGyN0XpvLcUYI0SoNWasNQ$06NcVm0YFYWGg40Ye+ImoIcN2YtY1tYQwokb36FXAck'
+    },
+    output: true
+  },
+  {
+    comment: 'ln=10, r=8, p=1 and a 32-byte salt',
+    input: {
+      password: 'password',
+      encoded: '$scrypt$ln=10,r=8,p=1$ZwyhtBai9B4jZMx5L0VoDUEIwZizlhJizHmvNWas9Z4$oL0Ue1eIvzqo+mh0H316YQac+P3v0N5J8aKb1duRodM'
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'letmein',
+      encoded: '$scrypt$ln=14,r=8,p=1$3XuPESLknLPWem/NuVcKIQ$d/W7FhjNUM3qw5EubLv3x90Ttf9Z0URobrNMRGfgwlA'
+    },
+    output: false
+  },
+  {
+    comment: 'invalid passlib scrypt hash (64-byte checksum)',
+    input: {
+      password: 'password',
+      encoded: '$scrypt$ln=10,r=8,p=2$J0SotbbWmjOGkDLmvLfWWg$4kTk68YWH32jViHZhb/MgJAFF0T08l7FENvT6OBlN7pfumi9ljMxV6B8DvBrhVPkCeKP9uR8ml7C/QBEi9vNvQ'
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid passlib scrypt hash (adapted base64)',
+    input: {
+      password: '',
+      encoded: '$scrypt$ln=12,r=4,p=1$ZGyN0XpvLcUYI0SoNWasNQ$06NcVm0YFYWGg40Ye.ImoIcN2YtY1tYQwokb36FXAck'
+    },
+    error: RangeError
+  }
+]
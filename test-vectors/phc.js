@@ -0,0 +1,66 @@
+module.exports = [
+  {
+    comment: 'https://tools.ietf.org/html/rfc7914#section-12  #2',
+    input: {
+      password: 'password',
+      phc: '$scrypt$ln=10,r=8,p=16$TmFDbA$/bq+HJ00cgB4VucZDQHp/nxq18vII3gw53N2Y0s3MWIurzDZLiKjiG/xCSedmDDaxyevuUqD7m2DYMvfoswGQA'
+    },
+    output: true
+  },
+  {
+    comment: 'https://tools.ietf.org/html/rfc7914#section-12  #3',
+    input: {
+      password: 'pleaseletmein',
+      phc: '$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$cCO9yzr9c0hGHAbNgf046/2o+7qQT44+qbVD9lRdofLVQylVYT8Pz2LUlwUkKpr55h6F3A1lHkDfzwF7RVdYhw'
+    },
+    output: true
+  },
+  {
+    comment: 'https://tools.ietf.org/html/rfc7914#section-12  #3 with a 32-byte hash',
+    input: {
+      password: 'pleaseletmein',
+      phc: '$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$cCO9yzr9c0hGHAbNgf046/2o+7qQT44+qbVD9lRdofI'
+    },
+    output: true
+  },
+  {
+    comment: 'non-ASCII password and a 16-byte salt',
+    input: {
+      password: 'lètmein',
+      phc: '$scrypt$ln=10,r=8,p=1$AAECAwQFBgcICQoLDA0ODw$nkIet0OzGMHuENHap6UFxONPfEj6uZM2wVm4aOG0d54'
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'letmein',
+      phc: '$scrypt$ln=10,r=8,p=1$AAECAwQFBgcICQoLDA0ODw$nkIet0OzGMHuENHap6UFxONPfEj6uZM2wVm4aOG0d54'
+    },
+    output: false
+  },
+  {
+    comment: 'invalid PHC string (wrong algorithm)',
+    input: {
+      password: 'password',
+      phc: '$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$RdescudvJCsgt3ub+b+dWRWJTmaaJObG'
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid PHC string (missing parameter)',
+    input: {
+      password: 'password',
+      phc: '$scrypt$ln=10,r=8$TmFDbA$/bq+HJ00cgB4VucZDQHp/nxq18vII3gw53N2Y0s3MWI'
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid PHC string (invalid base64 hash)',
+    input: {
+      password: 'password',
+      phc: '$scrypt$ln=10,r=8,p=16$TmFDbA$/bq+H'
+    },
+    error: RangeError
+  }
+]
@@ -224,5 +224,57 @@ module.exports = [
     },
     output: '225009a832a3041c158e2ab8913019a27674c604d704a38ad1c7b58401a88b213b2a374d65016b82231fc469caf5b02134c8f52941d185e4b1d51fab0996eb46',
     error: RangeError
+  },
+  {
+    comment: 'invalid N = 1 (RFC 7914 requires N > 1)',
+    input: {
+      P: 'password',
+      S: 'NaCl',
+      N: 1,
+      r: 8,
+      p: 1,
+      dkLen: 64
+    },
+    output: '',
+    error: RangeError
+  },
+  {
+    comment: 'invalid N = 65536 >= 2^(128 * r / 8) with r = 1',
+    input: {
+      P: 'password',
+      S: 'NaCl',
+      N: 65536,
+      r: 1,
+      p: 1,
+      dkLen: 64
+    },
+    output: '',
+    error: RangeError
+  },
+  {
+    comment: 'invalid N = 2^33 > 2^32',
+    input: {
+      P: 'password',
+      S: 'NaCl',
+      N: 8589934592,
+      r: 8,
+      p: 1,
+      dkLen: 64
+    },
+    output: '',
+    error: RangeError
+  },
+  {
+    comment: 'invalid N = 3 * 2^31 (not a power of 2)',
+    input: {
+      P: 'password',
+      S: 'NaCl',
+      N: 6442450944,
+      r: 8,
+      p: 1,
+      dkLen: 64
+    },
+    output: '',
+    error: RangeError
   }
 ]
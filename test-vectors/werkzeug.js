@@ -0,0 +1,67 @@
+module.exports = [
+  // Computed as Werkzeug's generate_password_hash() does, with Python's hashlib.scrypt(password.encode(), salt=salt.encode(), n=N, r=r, p=p, maxmem=132 * N * r * p, dklen=64).hex()
+  {
+    comment: 'Werkzeug defaults (N=32768, r=8, p=1)',
+    input: {
+      password: 'password',
+      encoded: 'scrypt:32768:8:1$Sm3PQrXWRTh9yC5g$36df2927889d346b7da6f1c6af43945ec6880330b24cf10353a1cbac81ab2bad8535580ae3904a43f41fbc236122a893bbdb632c1d1b5788784c7e94c6ae9feb'
+    },
+    output: true
+  },
+  {
+    comment: 'Werkzeug defaults (N=32768, r=8, p=1) and a non-ASCII password',
+    input: {
+      password: 'lètmein',
+      encoded: 'scrypt:32768:8:1$a1B2c3D4e5F6g7H8$0341be800d20344c14089cea1ad78902836f6f4ee9d6b47d3134629ff1009d73e53b91bed25dd2e5aaf108c81e28c5c193a1abbdd09b0a0fb25b4c9e3f17ccef'
+    },
+    output: true
+  },
+  {
+    comment: 'N=1024, r=8, p=2',
+    input: {
+      password: 'pleaseletmein',
+      encoded: 'scrypt:1024:8:2$SodiumChloride$13aba2b4f20022a03411c36e60cfda50d11c2a6aa379e92f8069075e6229338970443f9fe0730122d5687421dd1efbdb56a0ef30557426e8efce7b6e5764f386'
+    },
+    output: true
+  },
+  {
+    comment: 'N=16384, r=8, p=1 and an empty password',
+    input: {
+      password: '',
+      encoded: 'scrypt:16384:8:1$Zq9Xw8Vu7Ts6Rp5O$f2e61a190bf3a8a083453eaa8085e8dd997dfcd4f8a3d011b3d5c2c49dd4bbdbbbfe9e6d8e723a8d2aba68767f4097a3511f597b6848feb0222d5c52d4a75c40'
+    },
+    output: true
+  },
+  {
+    comment: 'bare scrypt method (Werkzeug defaults)',
+    input: {
+      password: 'hunter2',
+      encoded: 'scrypt$Ab12Cd34Ef56Gh78$c9a702435de14ef71606e344e6528fe6342161327c078cc09423a4fb3bba4d4c73cf90e2282a6ff8bca3dafb1174cbb9d59f5fa12e3c9d09a98492ad58f84dd5'
+    },
+    output: true
+  },
+  {
+    comment: 'wrong password',
+    input: {
+      password: 'passw0rd',
+      encoded: 'scrypt:32768:8:1$Sm3PQrXWRTh9yC5g$36df2927889d346b7da6f1c6af43945ec6880330b24cf10353a1cbac81ab2bad8535580ae3904a43f41fbc236122a893bbdb632c1d1b5788784c7e94c6ae9feb'
+    },
+    output: false
+  },
+  {
+    comment: 'invalid Werkzeug scrypt hash (two scrypt parameters)',
+    input: {
+      password: 'password',
+      encoded: 'scrypt:32768:8$Sm3PQrXWRTh9yC5g$36df2927889d346b7da6f1c6af43945ec6880330b24cf10353a1cbac81ab2bad8535580ae3904a43f41fbc236122a893bbdb632c1d1b5788784c7e94c6ae9feb'
+    },
+    error: RangeError
+  },
+  {
+    comment: 'invalid Werkzeug scrypt hash (other method)',
+    input: {
+      password: 'password',
+      encoded: 'pbkdf2:sha256:600000$Sm3PQrXWRTh9yC5g$36df2927889d346b7da6f1c6af43945ec6880330b24cf10353a1cbac81ab2bad8535580ae3904a43f41fbc236122a893bbdb632c1d1b5788784c7e94c6ae9feb'
+    },
+    error: RangeError
+  }
+]
@@ -0,0 +1,43 @@
+describe('testing calibrate', function () {
+  this.timeout(360000)
+  for (const backend of ['native', 'js'] as const) {
+    describe(`calibrate({ targetMs: 200, maxMemoryBytes: 64 MiB, r: 8, p: 1, backend: '${backend}' })`, function () {
+      let result: any
+      before(async function () {
+        result = await _pkg.calibrate({ targetMs: 200, maxMemoryBytes: 67108864, r: 8, p: 1, backend })
+      })
+      it('should return a power of 2 as N, and the given r and p', function () {
+        chai.expect(result.N).to.be.at.least(2)
+        chai.expect(result.N & (result.N - 1)).to.equal(0)
+        chai.expect(result.r).to.equal(8)
+        chai.expect(result.p).to.equal(1)
+      })
+      it('should return an N whose derivation fits in the memory and is expected to take at most targetMs', function () {
+        chai.expect(result.memory).to.be.at.most(67108864)
+        chai.expect(result.estimatedMs).to.be.at.most(200)
+      })
+      it('should return the measurements, from the smallest N to the largest one', function () {
+        chai.expect(result.measurements.length).to.be.at.least(1)
+        for (let i = 1; i < result.measurements.length; i++) {
+          chai.expect(result.measurements[i].N).to.equal(2 * result.measurements[i - 1].N)
+        }
+      })
+    })
+  }
+  describe('calibrate({ targetMs: 10000, maxMemoryBytes: 1 MiB, r: 8 })', function () {
+    it('should return the largest N that fits in 1 MiB', async function () {
+      const result = await _pkg.calibrate({ targetMs: 10000, maxMemoryBytes: 1048576, r: 8, backend: 'native' })
+      chai.expect(result.N).to.equal(512)
+    })
+  })
+  describe('calibrate({ targetMs: 100, maxMemoryBytes: 1024 })', function () {
+    it('should be rejected because of RangeError', async function () {
+      try {
+        await _pkg.calibrate({ targetMs: 100, maxMemoryBytes: 1024 })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+})
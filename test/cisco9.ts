@@ -0,0 +1,51 @@
+import vectors from '../test-vectors/cisco9'
+
+describe('testing cisco9', function () {
+  this.timeout(360000)
+  describe('cisco9.verify()', function () {
+    for (const vector of vectors) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, encoded=${vector.input.encoded}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.cisco9.verify(vector.input.encoded, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.cisco9.verify(vector.input.encoded, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+  describe('cisco9.hash() with the salt of Cisco\'s example', function () {
+    it('should return $9$nhEmQVczB7dqsO$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM', async function () {
+      chai.expect(await _pkg.cisco9.hash('cisco', { salt: 'nhEmQVczB7dqsO' })).to.equal('$9$nhEmQVczB7dqsO$X.HsgL6x1il0RxkOSSvyQYwucySCt7qFm4v7pqCxkKM')
+    })
+  })
+  describe('cisco9.hash()', function () {
+    let encoded: string
+    before(async function () {
+      encoded = await _pkg.cisco9.hash('password')
+    })
+    it('should return a $9$ hash with a random 14-character salt', function () {
+      chai.expect(encoded).to.match(/^\$9\$[./0-9A-Za-z]{14}\$[./0-9A-Za-z]{43}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.cisco9.verify(encoded, 'password')).to.equal(true)
+    })
+    it('should reject a salt that is not 14 characters of Cisco\'s alphabet', async function () {
+      try {
+        await _pkg.cisco9.hash('password', { salt: 'nhEmQVczB7dq+O' })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+})
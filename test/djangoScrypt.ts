@@ -0,0 +1,62 @@
+import vectors from '../test-vectors/django'
+
+describe('testing djangoScrypt', function () {
+  this.timeout(360000)
+  describe('djangoScrypt.verify()', function () {
+    for (const vector of vectors) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, encoded=${vector.input.encoded}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.djangoScrypt.verify(vector.input.encoded, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.djangoScrypt.verify(vector.input.encoded, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+  describe('djangoScrypt.hash() with the salt and parameters of Django-generated hashes', function () {
+    for (const vector of vectors) {
+      if (vector.output !== true) continue
+      const [, N, salt, r, p] = vector.input.encoded.split('$')
+      it(`should return ${vector.input.encoded}`, async function () {
+        const encoded = await _pkg.djangoScrypt.hash(vector.input.password, { salt, scryptParams: { N: Number(N), r: Number(r), p: Number(p) } })
+        chai.expect(encoded).to.equal(vector.input.encoded)
+      })
+    }
+  })
+  describe('djangoScrypt.hash()', function () {
+    let encoded: string
+    before(async function () {
+      encoded = await _pkg.djangoScrypt.hash('password')
+    })
+    it('should use Django defaults and a random 22-character salt', function () {
+      chai.expect(encoded).to.match(/^scrypt\$16384\$[A-Za-z0-9]{22}\$8\$1\$[A-Za-z0-9+/]{86}==$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.djangoScrypt.verify(encoded, 'password')).to.equal(true)
+    })
+    it('should not need a rehash with Django defaults', function () {
+      chai.expect(_pkg.djangoScrypt.needsRehash(encoded)).to.equal(false)
+    })
+    it('should need a rehash with N=32768', function () {
+      chai.expect(_pkg.djangoScrypt.needsRehash(encoded, { N: 32768 })).to.equal(true)
+    })
+    it('should reject a salt with \'$\'', async function () {
+      try {
+        await _pkg.djangoScrypt.hash('password', { salt: 'sea$salt' })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+})
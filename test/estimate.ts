@@ -0,0 +1,112 @@
+describe('testing estimate', function () {
+  this.timeout(360000)
+  describe('estimate({ N: 16384, r: 8, p: 2 })', function () {
+    it('should return the memory of B and V with every backend and the number of Salsa20/8 invocations', function () {
+      const result = _pkg.estimate({ N: 16384, r: 8, p: 2 }, { cooperative: true })
+      chai.expect(result.k).to.equal(1)
+      chai.expect(result.js.B).to.equal(2048)
+      chai.expect(result.js.V).to.equal(16777216)
+      chai.expect(result.js.simultaneousLanes).to.equal(1)
+      chai.expect(result.js.total).to.equal(result.js.B + result.js.V + result.js.scratch)
+      chai.expect(result.native.V).to.equal(16777216)
+      chai.expect(result.native.total).to.equal(128 * 8 * (16384 + 2 + 2))
+      chai.expect(result.salsa208Invocations).to.equal(2 * 4 * 8 * 16384)
+    })
+  })
+  describe('estimate(\'interactive\')', function () {
+    it('should return the estimate of the parameters of the preset', function () {
+      const result = _pkg.estimate('interactive')
+      chai.expect(result.N).to.equal(_pkg.presets.interactive.N)
+      chai.expect(result.native.B + result.native.V).to.equal(_pkg.presets.interactive.memory)
+    })
+  })
+  for (const tmto of [1, 3, 4] as const) {
+    describe(`estimate({ N: 1024, r: 2, p: 1 }, { tmto: ${tmto} })`, function () {
+      it('should return the memory scryptROMix allocates with the JS backend', function () {
+        const OriginalUint32Array = Uint32Array
+        let allocated = 0
+        class CountingUint32Array extends OriginalUint32Array {
+          constructor (...args: any[]) {
+            super(...(args as [number]))
+            if (typeof args[0] === 'number') allocated += this.byteLength
+          }
+        }
+        const B = new Uint32Array(64)
+        globalThis.Uint32Array = CountingUint32Array
+        try {
+          _pkg.scryptROMix(B, 1024, { backend: 'js', tmto })
+        } finally {
+          globalThis.Uint32Array = OriginalUint32Array
+        }
+        const result = _pkg.estimate({ N: 1024, r: 2, p: 1 }, { backend: 'js', tmto })
+        chai.expect(result.k).to.equal(tmto)
+        // the scratch of a lane includes its copy of B[i], which scryptROMix does not make
+        chai.expect(allocated).to.equal(result.js.V + result.js.scratch - 128 * 2)
+      })
+      it('should return the memory of the WebAssembly instance scryptROMix grows', function () {
+        const grow = WebAssembly.Memory.prototype.grow
+        let memory: WebAssembly.Memory | undefined
+        WebAssembly.Memory.prototype.grow = function (delta: number): number {
+          memory = this // eslint-disable-line @typescript-eslint/no-this-alias
+          return grow.call(this, delta)
+        }
+        try {
+          _pkg.scryptROMix(new Uint32Array(64), 1024, { backend: 'wasm', tmto })
+        } finally {
+          WebAssembly.Memory.prototype.grow = grow
+        }
+        const result = _pkg.estimate({ N: 1024, r: 2, p: 1 }, { backend: 'wasm', tmto })
+        chai.expect(memory).to.not.equal(undefined)
+        chai.expect((memory as WebAssembly.Memory).buffer.byteLength).to.equal(result.wasm.V + result.wasm.scratch - 128 * 2)
+      })
+    })
+  }
+  describe('estimate({ N: 16, r: 1, p: 1 }, { tmto: \'auto\', memoryBudget: 704 })', function () {
+    // 704 octets fit 5.5 entries of 128 octets, which no k gives: k = 3 stores 6 of them and k = 4 stores 4
+    it('should return the smallest k whose V fits in memoryBudget', function () {
+      const result = _pkg.estimate({ N: 16, r: 1, p: 1 }, { backend: 'js', tmto: 'auto', memoryBudget: 704 })
+      chai.expect(result.k).to.equal(4)
+      chai.expect(result.js.V).to.equal(512)
+    })
+    it('should make scryptROMix allocate a V no larger than memoryBudget', function () {
+      const OriginalUint32Array = Uint32Array
+      let largest = 0
+      class CountingUint32Array extends OriginalUint32Array {
+        constructor (...args: any[]) {
+          super(...(args as [number]))
+          if (typeof args[0] === 'number') largest = Math.max(largest, this.byteLength)
+        }
+      }
+      const B = new Uint32Array(32)
+      globalThis.Uint32Array = CountingUint32Array
+      try {
+        _pkg.scryptROMix(B, 16, { backend: 'js', tmto: 'auto', memoryBudget: 704 })
+      } finally {
+        globalThis.Uint32Array = OriginalUint32Array
+      }
+      chai.expect(largest).to.equal(512)
+    })
+    it('should throw a RangeError if not even one V entry fits in memoryBudget', function () {
+      chai.expect(() => _pkg.estimate({ N: 16, r: 1, p: 1 }, { tmto: 'auto', memoryBudget: 100 })).to.throw(RangeError)
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(32), 16, { tmto: 'auto', memoryBudget: 100 })).to.throw(RangeError)
+    })
+  })
+  describe('estimate({ N: 1024, r: 1, p: 1 }, { tmto: 4 })', function () {
+    it('should return the number of Salsa20/8 invocations, including the expected ones to recompute V[j]', function () {
+      // every V[j] is recomputed with j mod 4 BlockMix, which is 1.5 on average
+      chai.expect(_pkg.estimate({ N: 1024, r: 1, p: 1 }, { tmto: 4 }).salsa208Invocations).to.equal(2 * (2 * 1024 + 1.5 * 1024))
+    })
+  })
+  describe('estimate() after calibrate()', function () {
+    it('should return an estimation of the time with the calibrated backend', async function () {
+      const calibration = await _pkg.calibrate({ targetMs: 200, maxMemoryBytes: 67108864, backend: 'js', cooperative: true })
+      const result = _pkg.estimate(calibration, { backend: 'js', cooperative: true })
+      chai.expect(result.estimatedMs).to.be.closeTo(calibration.estimatedMs, 1e-6)
+    })
+  })
+  describe('estimate({ N: 16384, r: 8, p: 1 }, { tmto: 3.5 })', function () {
+    it('should throw RangeError', function () {
+      chai.expect(() => _pkg.estimate({ N: 16384, r: 8, p: 1 }, { tmto: 3.5 })).to.throw(RangeError)
+    })
+  })
+})
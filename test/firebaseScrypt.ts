@@ -0,0 +1,30 @@
+import vectors from '../test-vectors/firebase'
+
+describe('testing firebaseScrypt', function () {
+  this.timeout(360000)
+  describe('firebaseScrypt.verify()', function () {
+    for (const vector of vectors) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, salt=${vector.input.firebaseHash.salt}, hash=${vector.input.firebaseHash.hash}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.firebaseScrypt.verify(vector.input.firebaseHash, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.firebaseScrypt.verify(vector.input.firebaseHash, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+          it(`should return ${String(vector.output)} with the JS backend`, async function () {
+            const ret = await _pkg.firebaseScrypt.verify(vector.input.firebaseHash, vector.input.password, { backend: 'js' })
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+})
@@ -0,0 +1,46 @@
+describe('testing hash', function () {
+  this.timeout(360000)
+  describe('hash(\'mySuperSecurePassword\')', function () {
+    let phc: string
+    before(async function () {
+      phc = await _pkg.hash('mySuperSecurePassword')
+    })
+    it('should return a PHC string with the default parameters, a 16-byte salt and a 32-byte hash', function () {
+      chai.expect(phc).to.match(/^\$scrypt\$ln=17,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.verify(phc, 'mySuperSecurePassword')).to.equal(true)
+    })
+    it('should not be verified with a different password', async function () {
+      chai.expect(await _pkg.verify(phc, 'mySuperSecurePassword!')).to.equal(false)
+    })
+  })
+  describe('hash(\'lètmein\', { scryptParams: { N: 1024, p: 2 }, saltLength: 32, dkLen: 64 })', function () {
+    let phc: string
+    before(async function () {
+      phc = await _pkg.hash('lètmein', { scryptParams: { N: 1024, p: 2 }, saltLength: 32, dkLen: 64 })
+    })
+    it('should return a PHC string with ln=10, r=8, p=2, a 32-byte salt and a 64-byte hash', function () {
+      chai.expect(phc).to.match(/^\$scrypt\$ln=10,r=8,p=2\$[A-Za-z0-9+/]{43}\$[A-Za-z0-9+/]{86}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.verify(phc, 'lètmein')).to.equal(true)
+    })
+  })
+  describe('hash() with two different random salts', function () {
+    it('should return different PHC strings for the same password', async function () {
+      const options = { scryptParams: { N: 1024 } }
+      chai.expect(await _pkg.hash('password', options)).to.not.equal(await _pkg.hash('password', options))
+    })
+  })
+  describe('hash() with invalid scrypt parameters', function () {
+    it('should be rejected because of RangeError', async function () {
+      try {
+        await _pkg.hash('password', { scryptParams: { N: 1000 } })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+})
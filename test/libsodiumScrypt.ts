@@ -0,0 +1,58 @@
+import vectors from '../test-vectors/libsodium'
+
+describe('testing libsodiumScrypt', function () {
+  this.timeout(360000)
+  describe('libsodiumScrypt.verify()', function () {
+    for (const vector of vectors.verify) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, str=${vector.input.str}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.libsodiumScrypt.verify(vector.input.str, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.libsodiumScrypt.verify(vector.input.str, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+  describe('libsodiumScrypt.pickParams()', function () {
+    for (const vector of vectors.pickParams) {
+      it(`should return ${JSON.stringify(vector.output)} for opslimit=${vector.input.opslimit} and memlimit=${vector.input.memlimit}`, function () {
+        chai.expect(_pkg.libsodiumScrypt.pickParams(vector.input.opslimit, vector.input.memlimit)).to.eql(vector.output)
+      })
+    }
+  })
+  describe('libsodiumScrypt.hash()', function () {
+    let str: string
+    before(async function () {
+      str = await _pkg.libsodiumScrypt.hash('password')
+    })
+    it('should return a 101-character $7$ string with the interactive parameters', function () {
+      chai.expect(str).to.match(/^\$7\$C6\.\.\.\.\/\.\.\.\.[./0-9A-Za-z]{43}\$[./0-9A-Za-z]{43}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.libsodiumScrypt.verify(str, 'password')).to.equal(true)
+    })
+    it('should not need a rehash with the interactive limits', function () {
+      chai.expect(_pkg.libsodiumScrypt.needsRehash(str)).to.equal(false)
+    })
+    it('should need a rehash with the sensitive limits', function () {
+      chai.expect(_pkg.libsodiumScrypt.needsRehash(str, _pkg.libsodiumScrypt.OPSLIMIT_SENSITIVE, _pkg.libsodiumScrypt.MEMLIMIT_SENSITIVE)).to.equal(true)
+    })
+  })
+  describe('libsodiumScrypt.hash() with opslimit=4000000 and memlimit=1048576', function () {
+    it('should encode N=1024, r=8 and p=122 and be verified with the same password', async function () {
+      const str = await _pkg.libsodiumScrypt.hash('lètmein', { opslimit: 4000000, memlimit: 1048576 })
+      chai.expect(str.slice(0, 14)).to.equal('$7$86....u/...')
+      chai.expect(await _pkg.libsodiumScrypt.verify(str, 'lètmein')).to.equal(true)
+    })
+  })
+})
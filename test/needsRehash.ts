@@ -0,0 +1,45 @@
+describe('testing needsRehash', function () {
+  const phc = '$scrypt$ln=17,r=8,p=1$AAECAwQFBgcICQoLDA0ODw$nkIet0OzGMHuENHap6UFxONPfEj6uZM2wVm4aOG0d54'
+  const weakPhc = '$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$cCO9yzr9c0hGHAbNgf046/2o+7qQT44+qbVD9lRdofI'
+  describe('with the default policy (N=131072, r=8, p=1, 16-byte salt, 32-byte hash)', function () {
+    it(`should return false for ${phc}`, function () {
+      chai.expect(_pkg.needsRehash(phc)).to.equal(false)
+    })
+    it(`should return true for ${weakPhc}`, function () {
+      chai.expect(_pkg.needsRehash(weakPhc)).to.equal(true)
+    })
+  })
+  const policies = [
+    { policy: { N: 131072, r: 8, p: 1, saltLength: 16, dkLen: 32 }, expected: false },
+    { policy: { N: 262144 }, expected: true },
+    { policy: { r: 16 }, expected: true },
+    { policy: { p: 2 }, expected: true },
+    { policy: { saltLength: 32 }, expected: true },
+    { policy: { dkLen: 64 }, expected: true }
+  ]
+  for (const { policy, expected } of policies) {
+    describe(`with policy ${JSON.stringify(policy)}`, function () {
+      it(`should return ${String(expected)} for ${phc}`, function () {
+        chai.expect(_pkg.needsRehash(phc, policy)).to.equal(expected)
+      })
+    })
+  }
+  describe('with an invalid PHC string', function () {
+    it('should throw RangeError', function () {
+      try {
+        _pkg.needsRehash('$scrypt$ln=17,r=8$AAECAwQFBgcICQoLDA0ODw$nkIet0OzGMHuENHap6UFxONPfEj6uZM2wVm4aOG0d54')
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+  describe('after hash()', function () {
+    this.timeout(360000)
+    it('should return false for a hash created with the same parameters as the policy', async function () {
+      const policy = { N: 1024, r: 4, p: 2, saltLength: 24, dkLen: 48 }
+      const phc = await _pkg.hash('password', { scryptParams: { N: 1024, r: 4, p: 2 }, saltLength: 24, dkLen: 48 })
+      chai.expect(_pkg.needsRehash(phc, policy)).to.equal(false)
+    })
+  })
+})
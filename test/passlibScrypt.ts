@@ -0,0 +1,44 @@
+import vectors from '../test-vectors/passlib'
+
+describe('testing passlibScrypt', function () {
+  this.timeout(360000)
+  describe('passlibScrypt.verify()', function () {
+    for (const vector of vectors) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, encoded=${vector.input.encoded}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.passlibScrypt.verify(vector.input.encoded, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.passlibScrypt.verify(vector.input.encoded, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+  describe('passlibScrypt.hash()', function () {
+    let encoded: string
+    before(async function () {
+      encoded = await _pkg.passlibScrypt.hash('password')
+    })
+    it('should use passlib defaults, a 16-byte salt and a 32-byte checksum', function () {
+      chai.expect(encoded).to.match(/^\$scrypt\$ln=16,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.passlibScrypt.verify(encoded, 'password')).to.equal(true)
+    })
+    it('should not need a rehash with passlib defaults', function () {
+      chai.expect(_pkg.passlibScrypt.needsRehash(encoded)).to.equal(false)
+    })
+    it('should need a rehash with a 32-byte salt', function () {
+      chai.expect(_pkg.passlibScrypt.needsRehash(encoded, { saltLength: 32 })).to.equal(true)
+    })
+  })
+})
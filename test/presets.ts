@@ -0,0 +1,53 @@
+import * as bigintConversion from 'bigint-conversion'
+
+describe('testing presets', function () {
+  this.timeout(360000)
+  describe('presets', function () {
+    it('should have a version, valid scrypt parameters and the memory they use', function () {
+      for (const preset of Object.values(_pkg.presets)) {
+        chai.expect(preset.version).to.be.a('number')
+        chai.expect(preset.N & (preset.N - 1)).to.equal(0)
+        chai.expect(preset.memory).to.equal(128 * preset.r * (preset.N + preset.p))
+      }
+    })
+    it('should not be modifiable', function () {
+      chai.expect(Object.isFrozen(_pkg.presets)).to.equal(true)
+      chai.expect(Object.isFrozen(_pkg.presets.interactive)).to.equal(true)
+    })
+  })
+  describe('scrypt() with the \'rfc7914Interactive2009\' preset', function () {
+    it('should return the key of the RFC 7914 test vector with N=16384, r=8, p=1', async function () {
+      const DK = await _pkg.scrypt('pleaseletmein', 'SodiumChloride', 64, 'rfc7914Interactive2009')
+      chai.expect(bigintConversion.bufToHex(DK)).to.equal('7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887')
+    })
+  })
+  describe('hash() with the \'sensitive\' preset', function () {
+    it('should return a PHC string with ln=18, r=8, p=1 that does not need a rehash with the same preset', async function () {
+      const phc = await _pkg.hash('password', { scryptParams: 'sensitive' })
+      chai.expect(phc).to.match(/^\$scrypt\$ln=18,r=8,p=1\$/)
+      chai.expect(_pkg.needsRehash(phc, _pkg.presets.sensitive)).to.equal(false)
+      chai.expect(_pkg.needsRehash(phc, _pkg.presets.fileEncryption)).to.equal(true)
+    })
+  })
+  describe('needsRehash() with the name of a preset', function () {
+    it('should check the hash against the parameters of the preset', function () {
+      // computed with N=16384, r=8, p=1, a 16-byte salt and a 32-byte key, as hash() with the 'rfc7914Interactive2009' preset does
+      const phc = '$scrypt$ln=14,r=8,p=1$AAECAwQFBgcICQoLDA0ODw$6iMJXpgeItuXSS3ial5ceU6o+LQA0aKIA8ORmTlhNMU'
+      chai.expect(_pkg.needsRehash(phc, 'rfc7914Interactive2009')).to.equal(false)
+      chai.expect(_pkg.needsRehash(phc, 'interactive')).to.equal(true)
+    })
+    it('should throw a RangeError if the preset is unknown', function () {
+      chai.expect(() => _pkg.needsRehash('$scrypt$ln=14,r=8,p=1$AAECAwQFBgcICQoLDA0ODw$6iMJXpgeItuXSS3ial5ceU6o+LQA0aKIA8ORmTlhNMU', 'fast' as any)).to.throw(RangeError)
+    })
+  })
+  describe('an unknown preset', function () {
+    it('should be rejected because of RangeError', async function () {
+      try {
+        await _pkg.scrypt('password', 'salt', 32, 'fast' as any)
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+})
@@ -26,7 +26,103 @@ describe('testing scrypt', function () {
             chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
           })
         }
+        if (vector.input.N <= 131072) { // larger values would require more than 128 MiB per lane
+          for (const backend of ['wasm-simd', 'wasm', 'js'] as const) {
+            it(`should match ${vector.output} using the '${backend}' backend`, async function () {
+              const ret = await _pkg.scrypt(vector.input.P, vector.input.S, vector.input.dkLen, { N: vector.input.N, r: vector.input.r, p: vector.input.p }, { backend })
+              chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+            })
+          }
+        }
       }
     })
   }
+  for (const backend of ['auto', 'js'] as const) {
+    describe(`scrypt with an AbortSignal and backend '${backend}'`, function () {
+      it('should be rejected because of AbortError if the signal is already aborted', async function () {
+        const controller = new AbortController()
+        controller.abort()
+        try {
+          await _pkg.scrypt('password', 'NaCl', 64, { N: 1024, r: 8, p: 16 }, { backend, signal: controller.signal })
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(_pkg.AbortError)
+        }
+      })
+      it('should be rejected because of AbortError if the signal is aborted during the derivation', async function () {
+        const controller = new AbortController()
+        const start = Date.now()
+        setTimeout(() => controller.abort(), 50)
+        try {
+          await _pkg.scrypt('password', 'NaCl', 64, { N: 131072, r: 8, p: 4 }, { backend, signal: controller.signal })
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(_pkg.AbortError)
+          chai.expect(Date.now() - start).to.be.lessThan(1000)
+        }
+      })
+      it('should derive the expected key if the signal is not aborted', async function () {
+        const controller = new AbortController()
+        const ret = await _pkg.scrypt('password', 'NaCl', 64, { N: 1024, r: 8, p: 16 }, { backend, signal: controller.signal })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal('fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640')
+      })
+    })
+  }
+  for (const backend of ['auto', 'js'] as const) {
+    describe(`scrypt with an onProgress callback and backend '${backend}'`, function () {
+      it('should report a growing progress from 0 to 1 and derive the expected key', async function () {
+        const progress: number[] = []
+        const ret = await _pkg.scrypt('password', 'NaCl', 64, { N: 1024, r: 8, p: 16 }, { backend, onProgress: fraction => progress.push(fraction), progressInterval: 0 })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal('fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640')
+        chai.expect(progress.length).to.be.greaterThan(0)
+        chai.expect(progress).to.eql(progress.slice(0).sort((a, b) => a - b))
+        chai.expect(progress[0]).to.be.within(0, 1)
+        chai.expect(progress[progress.length - 1]).to.equal(1)
+      })
+    })
+  }
+  describe('scrypt in cooperative mode', function () {
+    for (const vector of vectors.filter(vector => vector.error === undefined && vector.input.N <= 16384)) {
+      it(`should match ${vector.output} with N=${vector.input.N}, r=${vector.input.r}, p=${vector.input.p}`, async function () {
+        const ret = await _pkg.scrypt(vector.input.P as any, vector.input.S as any, vector.input.dkLen, { N: vector.input.N, r: vector.input.r, p: vector.input.p }, { backend: 'js', cooperative: true })
+        chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+      })
+    }
+    it('should not block the event loop', async function () {
+      let timerFired = false
+      setTimeout(() => { timerFired = true }, 0)
+      const derivation = _pkg.scrypt('pleaseletmein', 'SodiumChloride', 64, { N: 16384, r: 8, p: 1 }, { backend: 'js', cooperative: true, sliceMs: 4 })
+      await new Promise(resolve => setTimeout(resolve, 0))
+      chai.expect(timerFired).to.equal(true)
+      chai.expect(bigintConversion.bufToHex(await derivation)).to.equal('7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887')
+    })
+  })
+  describe('scrypt in TMTO mode', function () {
+    it('should derive the expected key with tmto 4', async function () {
+      const ret = await _pkg.scrypt('pleaseletmein', 'SodiumChloride', 64, { N: 16384, r: 8, p: 1 }, { tmto: 4 })
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal('7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887')
+    })
+    it('should derive the expected key with tmto \'auto\' and a 4 MiB memoryBudget', async function () {
+      const ret = await _pkg.scrypt('pleaseletmein', 'SodiumChloride', 64, { N: 16384, r: 8, p: 1 }, { tmto: 'auto', memoryBudget: 4194304 })
+      chai.expect(bigintConversion.bufToHex(ret)).to.equal('7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2d5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887')
+    })
+    it('should be rejected because of RangeError with the \'native\' backend', async function () {
+      try {
+        await _pkg.scrypt('password', 'NaCl', 64, { N: 16, r: 1, p: 1 }, { backend: 'native', tmto: 2 })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+  describe('scrypt with an invalid backend', function () {
+    it('should be rejected because of RangeError', async function () {
+      try {
+        await _pkg.scrypt('password', 'NaCl', 64, { N: 16, r: 1, p: 1 }, { backend: 'wrong' as any })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
 })
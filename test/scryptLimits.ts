@@ -0,0 +1,127 @@
+describe('testing scrypt limits', function () {
+  this.timeout(360000)
+  const S = 'NaCl'
+  const P = 'password'
+  const expectLimitError = async function (promise: Promise<any>, param: string): Promise<void> {
+    try {
+      await promise
+      throw new Error('should have failed')
+    } catch (err) {
+      chai.expect(err).to.be.instanceOf(_pkg.ScryptLimitError)
+      chai.expect(err).to.be.instanceOf(RangeError)
+      chai.expect(err.code).to.equal('ERR_SCRYPT_LIMIT')
+      chai.expect(err.param).to.equal(param)
+    }
+  }
+  // Returns the number of PBKDF2 derivations started while running fn: pbkdf2-hmac uses crypto.pbkdf2() in Node.js and SubtleCrypto in browsers
+  const countPbkdf2 = async function (fn: () => Promise<void>): Promise<number> {
+    const node = typeof window === 'undefined'
+    const target: any = node ? require('crypto') : crypto.subtle // eslint-disable-line
+    const method = node ? 'pbkdf2' : 'importKey'
+    const original = target[method]
+    let calls = 0
+    target[method] = function (...args: any[]) {
+      calls++
+      return original.apply(this, args)
+    }
+    try {
+      await fn()
+    } finally {
+      target[method] = original
+    }
+    return calls
+  }
+  describe('scrypt() with options.limits', function () {
+    for (const backend of ['native', 'js'] as const) {
+      describe(`backend ${backend}`, function () {
+        it('should reject N=2^30 with the default limits before allocating anything', async function () {
+          await expectLimitError(_pkg.scrypt(P, S, 64, { N: 2 ** 30, r: 8, p: 1 }, { backend }), 'N')
+        })
+        it('should reject p=2^20 with the default limits', async function () {
+          await expectLimitError(_pkg.scrypt(P, S, 64, { N: 16, r: 1, p: 2 ** 20 }, { backend }), 'p')
+        })
+        it('should reject r=2^20 and N=2^10 with the default limits because of the memory', async function () {
+          await expectLimitError(_pkg.scrypt(P, S, 64, { N: 1024, r: 2 ** 20, p: 1 }, { backend }), 'memory')
+        })
+        it('should reject dkLen=2^20 with the default limits', async function () {
+          await expectLimitError(_pkg.scrypt(P, S, 2 ** 20, { N: 16, r: 1, p: 1 }, { backend }), 'dkLen')
+        })
+        it('should reject N=16384, r=8 with { maxMemory: 16 MiB }', async function () {
+          await expectLimitError(_pkg.scrypt(P, S, 64, { N: 16384, r: 8, p: 1 }, { backend, limits: { maxMemory: 16777216 } }), 'memory')
+        })
+        it('should derive the key of N=16384, r=8 with { maxMemory: 17 MiB }', async function () {
+          const DK = await _pkg.scrypt(P, S, 64, { N: 16384, r: 8, p: 1 }, { backend, limits: { maxMemory: 17825792 } })
+          chai.expect(DK.byteLength).to.equal(64)
+        })
+      })
+    }
+    for (const backend of ['wasm', 'js'] as const) {
+      it(`should reject N=2, r=8192, p=32 with { maxMemory: 1 MiB } before PBKDF2 computes B with the '${backend}' backend`, async function () {
+        const calls = await countPbkdf2(async () => await expectLimitError(_pkg.scrypt(P, S, 64, { N: 2, r: 8192, p: 32 }, { backend, limits: { maxMemory: 1048576 } }), 'memory'))
+        chai.expect(calls).to.equal(0)
+      })
+    }
+    it('should accept N=16384, r=8 with { maxMemory: 16 MiB } and tmto=2', async function () {
+      const DK = await _pkg.scrypt(P, S, 64, { N: 16384, r: 8, p: 1 }, { backend: 'js', tmto: 2, limits: { maxMemory: 16777216 } })
+      chai.expect(DK.byteLength).to.equal(64)
+    })
+  })
+  describe('verifyAny() with options.limits', function () {
+    it('should reject a hash with N=2, r=8192, p=32 and { maxMemory: 1 MiB } before PBKDF2 computes B', async function () {
+      const encoded = '$scrypt$ln=1,r=8192,p=32$c2FsdA$ZGVyaXZlZGtleQ'
+      const calls = await countPbkdf2(async () => await expectLimitError(_pkg.verifyAny(encoded, P, { backend: 'js', limits: { maxMemory: 1048576 } }), 'memory'))
+      chai.expect(calls).to.equal(0)
+    })
+  })
+  describe('scryptROMix() with options.limits', function () {
+    it('should reject N=2^30 with the default limits before allocating V', function () {
+      try {
+        _pkg.scryptROMix(new Uint32Array(64), 2 ** 30)
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(_pkg.ScryptLimitError)
+        chai.expect(err.param).to.equal('N')
+      }
+    })
+    it('should reject N=1024, r=1 with { maxMemory: 65536 }', async function () {
+      await expectLimitError(_pkg.scryptROMixAsync(new Uint32Array(32), 1024, { limits: { maxMemory: 65536 } }), 'memory')
+    })
+  })
+  describe('setScryptLimits()', function () {
+    afterEach(function () {
+      _pkg.setScryptLimits()
+    })
+    it('should set the global policy used when options.limits is not provided', async function () {
+      _pkg.setScryptLimits({ maxN: 1024 })
+      chai.expect(_pkg.getScryptLimits()).to.eql({ ..._pkg.defaultScryptLimits, maxN: 1024 })
+      await expectLimitError(_pkg.hash(P, { scryptParams: { N: 2048, r: 1 } }), 'N')
+      await expectLimitError(_pkg.verifyAny('scrypt$2048$seasalt$1$1$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw==', P), 'N')
+    })
+    it('should be overridden by options.limits', async function () {
+      _pkg.setScryptLimits({ maxN: 1024 })
+      const DK = await _pkg.scrypt(P, S, 64, { N: 2048, r: 1, p: 1 }, { limits: { maxN: 2048 } })
+      chai.expect(DK.byteLength).to.equal(64)
+    })
+    it('should not be overridden by options.limits set to undefined', async function () {
+      _pkg.setScryptLimits({ maxN: 1024 })
+      const opts: { maxN?: number } = {}
+      await expectLimitError(_pkg.scrypt(P, S, 64, { N: 2048, r: 1, p: 1 }, { limits: { maxN: opts.maxN } }), 'N')
+      await expectLimitError(_pkg.verifyAny('scrypt$2048$seasalt$1$1$Qj3+9PPyRjSJIebHnG81TMjsqtaIGxNQG/aEB/NYafTJ7tibgfYz71m0ldQESkXFRkdVCBhhY8mx7rQwite/Pw==', P, { limits: { maxN: opts.maxN } }), 'N')
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(64), 2048, { limits: { maxN: opts.maxN } })).to.throw(_pkg.ScryptLimitError)
+    })
+    it('should reject limits that are not positive numbers', async function () {
+      chai.expect(() => _pkg.setScryptLimits({ maxP: 0 })).to.throw(RangeError)
+      try {
+        await _pkg.scrypt(P, S, 64, { N: 1024, r: 1, p: 1 }, { limits: { maxN: -1 } })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+        chai.expect(err).to.not.be.instanceOf(_pkg.ScryptLimitError)
+      }
+    })
+    it('should set the limits set to undefined to the default ones', function () {
+      _pkg.setScryptLimits({ maxN: undefined, maxP: 16 })
+      chai.expect(_pkg.getScryptLimits()).to.eql({ ..._pkg.defaultScryptLimits, maxP: 16 })
+    })
+  })
+})
@@ -11,6 +11,117 @@ describe('testing scryptROMix', function () {
         _pkg.scryptROMix(B, vector.input.N)
         chai.expect(bigintConversion.bufToHex(B)).to.equal(vector.output)
       })
+      for (const backend of ['wasm-simd', 'wasm', 'js'] as const) {
+        it(`should also match ${vector.output} using the '${backend}' backend`, function () {
+          const B2 = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+          _pkg.scryptROMix(B2, vector.input.N, { backend })
+          chai.expect(bigintConversion.bufToHex(B2)).to.equal(vector.output)
+        })
+      }
+      it(`should report its progress in ${2 * vector.input.N} steps if options.progressInterval is 0`, function () {
+        const progress: number[] = []
+        _pkg.scryptROMix(B.slice(0), vector.input.N, { onProgress: fraction => progress.push(fraction), progressInterval: 0 })
+        chai.expect(progress.length).to.equal(2 * vector.input.N)
+        chai.expect(progress).to.eql(progress.slice(0).sort((a, b) => a - b))
+        chai.expect(progress[progress.length - 1]).to.equal(1)
+      })
+      it(`should also match ${vector.output} using scryptROMixAsync`, async function () {
+        const B2 = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+        await _pkg.scryptROMixAsync(B2, vector.input.N)
+        chai.expect(bigintConversion.bufToHex(B2)).to.equal(vector.output)
+      })
+      it('should throw AbortError if options.signal is aborted', function () {
+        const controller = new AbortController()
+        controller.abort()
+        try {
+          _pkg.scryptROMix(B.slice(0), vector.input.N, { signal: controller.signal })
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(_pkg.AbortError)
+        }
+      })
     })
   }
+  describe('scryptROMix in TMTO mode with N=1024 and r=8', function () {
+    const B = new Uint32Array(256).map((value, index) => index * 2654435761)
+    const expected = B.slice(0)
+    before(function () {
+      _pkg.scryptROMix(expected, 1024, { backend: 'js' })
+    })
+    for (const backend of ['wasm-simd', 'wasm', 'js'] as const) {
+      for (const tmto of [2, 3, 1024]) {
+        it(`should return the same result storing only every ${tmto}-th V entry with the '${backend}' backend`, function () {
+          const B2 = B.slice(0)
+          _pkg.scryptROMix(B2, 1024, { backend, tmto })
+          chai.expect(bigintConversion.bufToHex(B2)).to.equal(bigintConversion.bufToHex(expected))
+        })
+      }
+      it(`should return the same result with tmto 'auto' and a 100 KiB memoryBudget with the '${backend}' backend`, function () {
+        const B2 = B.slice(0)
+        _pkg.scryptROMix(B2, 1024, { backend, tmto: 'auto', memoryBudget: 102400 })
+        chai.expect(bigintConversion.bufToHex(B2)).to.equal(bigintConversion.bufToHex(expected))
+      })
+    }
+    for (const options of [{ tmto: 0 }, { tmto: 1.5 }, { tmto: 'auto' as const }, { tmto: 'auto' as const, memoryBudget: 0 }]) {
+      it(`should throw RangeError if options are ${JSON.stringify(options)}`, function () {
+        try {
+          _pkg.scryptROMix(B.slice(0), 1024, options)
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(RangeError)
+        }
+      })
+    }
+  })
+  describe('scryptROMix with an invalid backend', function () {
+    it('should throw RangeError', function () {
+      try {
+        _pkg.scryptROMix(new Uint32Array(32), 16, { backend: 'wrong' as any })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+  describe('scryptROMixAsync with N=4096, r=8 and 1 ms slices', function () {
+    const B = new Uint32Array(256).map((value, index) => index * 2654435761)
+    it('should return the same result as scryptROMix and yield to the event loop between slices', async function () {
+      const expected = B.slice(0)
+      _pkg.scryptROMix(expected, 4096)
+
+      let timersFired = 0
+      const timer = setInterval(() => { timersFired++ }, 0)
+      const B2 = B.slice(0)
+      await _pkg.scryptROMixAsync(B2, 4096, { sliceMs: 1 })
+      clearInterval(timer)
+
+      chai.expect(bigintConversion.bufToHex(B2)).to.equal(bigintConversion.bufToHex(expected))
+      chai.expect(timersFired).to.be.greaterThan(0)
+    })
+    it('should yield with a MessageChannel where setImmediate is not available', async function () {
+      const expected = B.slice(0)
+      _pkg.scryptROMix(expected, 4096)
+
+      const global = globalThis as any
+      const { setImmediate, MessageChannel } = global
+      let channels = 0
+      global.setImmediate = undefined
+      global.MessageChannel = class extends MessageChannel {
+        constructor () {
+          super()
+          channels++
+        }
+      }
+      const B2 = B.slice(0)
+      try {
+        await _pkg.scryptROMixAsync(B2, 4096, { sliceMs: 1 })
+      } finally {
+        global.setImmediate = setImmediate
+        global.MessageChannel = MessageChannel
+      }
+
+      chai.expect(bigintConversion.bufToHex(B2)).to.equal(bigintConversion.bufToHex(expected))
+      chai.expect(channels).to.be.greaterThan(0)
+    })
+  })
 })
@@ -0,0 +1,75 @@
+import * as bigintConversion from 'bigint-conversion'
+
+import vectors from '../test-vectors/scrypt'
+
+describe('testing setNativeConcurrency', function () {
+  this.timeout(360000)
+  for (const limit of [0, -1, 1.5]) {
+    describe(`setNativeConcurrency(${limit})`, function () {
+      it(`should be rejected because ${limit} is not a positive integer`, function () {
+        try {
+          _pkg.setNativeConcurrency(limit)
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(RangeError)
+        }
+      })
+    })
+  }
+  describe('setNativeConcurrency(1) and several concurrent derivations', function () {
+    const tests = vectors.filter(vector => vector.error === undefined && vector.input.N <= 16384)
+    let previousConcurrency: number
+    before(function () {
+      previousConcurrency = _pkg.getNativeConcurrency()
+    })
+    after(function () {
+      _pkg.setNativeConcurrency(previousConcurrency)
+    })
+    it(`should return the ${tests.length} expected keys running one native derivation at a time`, async function () {
+      if (typeof window !== 'undefined') this.skip() // there are no native derivations in browsers
+      const crypto = require('crypto') // eslint-disable-line
+      const scrypt = crypto.scrypt
+      let calls = 0
+      let running = 0
+      let maxRunning = 0
+      crypto.scrypt = function (...args: any[]) {
+        const done = args.pop()
+        calls++
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        scrypt.call(this, ...args, function (...results: any[]) {
+          running--
+          done(...results)
+        })
+      }
+      _pkg.setNativeConcurrency(1)
+      let keys: ArrayBuffer[]
+      try {
+        keys = await Promise.all(tests.map(async (vector) => await _pkg.scrypt(vector.input.P as any, vector.input.S as any, vector.input.dkLen, { N: vector.input.N, r: vector.input.r, p: vector.input.p })))
+      } finally {
+        crypto.scrypt = scrypt
+      }
+      chai.expect(keys.map(key => bigintConversion.bufToHex(key))).to.eql(tests.map(vector => vector.output))
+      chai.expect(calls).to.equal(tests.length)
+      chai.expect(maxRunning).to.equal(1)
+    })
+  })
+  describe('getNativeConcurrency()', function () {
+    it('should return the limit set with setNativeConcurrency()', function () {
+      const previousConcurrency = _pkg.getNativeConcurrency()
+      _pkg.setNativeConcurrency(2)
+      chai.expect(_pkg.getNativeConcurrency()).to.equal(2)
+      _pkg.setNativeConcurrency(previousConcurrency)
+    })
+  })
+  describe('a long derivation', function () {
+    it('should not block the event loop', async function () {
+      let timerFired = false
+      setTimeout(() => { timerFired = true }, 0)
+      const derivation = _pkg.scrypt('pleaseletmein', 'SodiumChloride', 64, { N: 65536, r: 8, p: 1 })
+      await new Promise(resolve => setTimeout(resolve, 0))
+      chai.expect(timerFired).to.equal(true)
+      await derivation
+    })
+  })
+})
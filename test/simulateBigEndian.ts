@@ -0,0 +1,73 @@
+import * as bigintConversion from 'bigint-conversion'
+
+import salsa208CoreVectors from '../test-vectors/salsa208Core'
+import scryptBlockMixVectors from '../test-vectors/scryptBlockMix'
+import scryptROMixVectors from '../test-vectors/scryptROMix'
+import scryptVectors from '../test-vectors/scrypt'
+
+describe('testing simulateBigEndian', function () {
+  this.timeout(360000)
+  before(function () {
+    _pkg.simulateBigEndian(true)
+  })
+  after(function () {
+    _pkg.simulateBigEndian(false)
+  })
+  describe('scryptROMix in a simulated big-endian host', function () {
+    it('should make a direct Uint32Array view of B hold byte-swapped words during the computation', function () {
+      const vector = scryptROMixVectors[0]
+      const B = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+      const word = B[0]
+      const swapped = ((word & 0xff) << 24 | (word & 0xff00) << 8 | (word >>> 8) & 0xff00 | word >>> 24) >>> 0
+      const seen: number[] = []
+      _pkg.scryptROMix(B, vector.input.N, { backend: 'js', onProgress: () => seen.push(B[0]), progressInterval: 0 })
+      chai.expect(seen[0]).to.equal(swapped)
+      chai.expect(bigintConversion.bufToHex(B)).to.equal(vector.output)
+    })
+  })
+  for (const vector of salsa208CoreVectors) {
+    describe(`salsa208Core in a simulated big-endian host: ${vector.comment}`, function () {
+      it(`should match ${vector.output}`, function () {
+        const arr = new Uint32Array(bigintConversion.hexToBuf(vector.input.input, true))
+        _pkg.salsa208Core(arr)
+        chai.expect(bigintConversion.bufToHex(arr)).to.equal(vector.output)
+      })
+    })
+  }
+  for (const vector of scryptBlockMixVectors) {
+    describe(`scryptBlockMix in a simulated big-endian host: ${vector.comment}`, function () {
+      it(`should match ${vector.output}`, function () {
+        const B = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+        _pkg.scryptBlockMix(B)
+        chai.expect(bigintConversion.bufToHex(B)).to.equal(vector.output)
+      })
+    })
+  }
+  for (const vector of scryptROMixVectors) {
+    describe(`scryptROMix in a simulated big-endian host: ${vector.comment}`, function () {
+      for (const backend of ['wasm-simd', 'wasm', 'js'] as const) {
+        it(`should match ${vector.output} using the '${backend}' backend`, function () {
+          const B = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+          _pkg.scryptROMix(B, vector.input.N, { backend })
+          chai.expect(bigintConversion.bufToHex(B)).to.equal(vector.output)
+        })
+      }
+      it(`should match ${vector.output} using scryptROMixAsync`, async function () {
+        const B = new Uint32Array(bigintConversion.hexToBuf(vector.input.B, true))
+        await _pkg.scryptROMixAsync(B, vector.input.N)
+        chai.expect(bigintConversion.bufToHex(B)).to.equal(vector.output)
+      })
+    })
+  }
+  for (const vector of scryptVectors) {
+    if (vector.error !== undefined || vector.input.N > 16384) continue
+    describe(`scrypt in a simulated big-endian host: ${vector.comment} : N=${vector.input.N}, r=${vector.input.r}, p=${vector.input.p}`, function () {
+      for (const options of [{ backend: 'wasm-simd' }, { backend: 'wasm' }, { backend: 'js' }, { backend: 'js', cooperative: true }] as const) {
+        it(`should match ${vector.output} with options ${JSON.stringify(options)}`, async function () {
+          const ret = await _pkg.scrypt(vector.input.P, vector.input.S, vector.input.dkLen, { N: vector.input.N, r: vector.input.r, p: vector.input.p }, options)
+          chai.expect(bigintConversion.bufToHex(ret)).to.equal(vector.output)
+        })
+      }
+    })
+  }
+})
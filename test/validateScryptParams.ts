@@ -0,0 +1,77 @@
+describe('testing validateScryptParams', function () {
+  this.timeout(360000)
+  const invalid = [
+    { scryptParams: { N: 1, r: 8, p: 1 }, param: 'N', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 1000, r: 8, p: 1 }, param: 'N', code: 'ERR_SCRYPT_NOT_POWER_OF_2' },
+    { scryptParams: { N: 6442450944, r: 8, p: 1 }, param: 'N', code: 'ERR_SCRYPT_NOT_POWER_OF_2' },
+    { scryptParams: { N: 8589934592, r: 8, p: 1 }, param: 'N', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 65536, r: 1, p: 1 }, param: 'N', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 1024.5, r: 8, p: 1 }, param: 'N', code: 'ERR_SCRYPT_NOT_INTEGER' },
+    { scryptParams: { N: 1024, r: 0, p: 1 }, param: 'r', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 1024, r: 8, p: 1.5 }, param: 'p', code: 'ERR_SCRYPT_NOT_INTEGER' },
+    { scryptParams: { N: 1024, r: 8, p: 134217728 }, param: 'p', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 1024, r: 8, p: 1 }, dkLen: 0, param: 'dkLen', code: 'ERR_SCRYPT_OUT_OF_RANGE' },
+    { scryptParams: { N: 1024, r: 8, p: 1 }, dkLen: 137438953441, param: 'dkLen', code: 'ERR_SCRYPT_OUT_OF_RANGE' }
+  ]
+  for (const { scryptParams, dkLen, param, code } of invalid) {
+    describe(`validateScryptParams(${JSON.stringify(scryptParams)}, ${String(dkLen)})`, function () {
+      it(`should throw ScryptParameterError with param '${param}' and code '${code}'`, function () {
+        try {
+          _pkg.validateScryptParams(scryptParams, dkLen)
+          throw new Error('should have failed')
+        } catch (err) {
+          chai.expect(err).to.be.instanceOf(_pkg.ScryptParameterError)
+          chai.expect(err).to.be.instanceOf(RangeError)
+          chai.expect(err.param).to.equal(param)
+          chai.expect(err.code).to.equal(code)
+        }
+      })
+    })
+  }
+  describe('validateScryptParams({ N: 32768, r: 1, p: 1 }, 64)', function () {
+    it('should not throw, since 32768 < 2^(128 * 1 / 8)', function () {
+      _pkg.validateScryptParams({ N: 32768, r: 1, p: 1 }, 64)
+    })
+  })
+  describe('scrypt(\'password\', 1234, 64)', function () {
+    it('should be rejected because of ScryptParameterError with param \'S\' and code \'ERR_SCRYPT_INVALID_TYPE\'', async function () {
+      try {
+        await _pkg.scrypt('password', 1234 as any, 64)
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(_pkg.ScryptParameterError)
+        chai.expect(err.param).to.equal('S')
+        chai.expect(err.code).to.equal('ERR_SCRYPT_INVALID_TYPE')
+      }
+    })
+  })
+  describe('scryptROMix(B, N) with invalid arguments', function () {
+    it('should throw ScryptParameterError if N = 1', function () {
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(32), 1)).to.throw(_pkg.ScryptParameterError).with.property('param', 'N')
+    })
+    it('should throw ScryptParameterError if N = 2^16 with r = 1', function () {
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(32), 65536)).to.throw(_pkg.ScryptParameterError).with.property('param', 'N')
+    })
+    it('should throw ScryptParameterError if B is not 128 * r octets long', function () {
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(48), 16)).to.throw(_pkg.ScryptParameterError).with.property('code', 'ERR_SCRYPT_INVALID_LENGTH')
+    })
+    it('should throw ScryptParameterError if B is not a Uint32Array', function () {
+      chai.expect(() => _pkg.scryptROMix(new Uint8Array(128) as any, 16)).to.throw(_pkg.ScryptParameterError).with.property('code', 'ERR_SCRYPT_INVALID_TYPE')
+    })
+  })
+  describe('scryptBlockMix(B) with an empty B', function () {
+    it('should throw ScryptParameterError', function () {
+      chai.expect(() => _pkg.scryptBlockMix(new Uint32Array(0))).to.throw(_pkg.ScryptParameterError).with.property('param', 'B')
+    })
+  })
+  describe('salsa208Core(arr) with an array of 32 octets', function () {
+    it('should throw ScryptParameterError', function () {
+      chai.expect(() => _pkg.salsa208Core(new Uint32Array(8))).to.throw(_pkg.ScryptParameterError).with.property('param', 'arr')
+    })
+  })
+  describe('ScryptLimitError', function () {
+    it('should be a ScryptParameterError with code \'ERR_SCRYPT_LIMIT\'', function () {
+      chai.expect(() => _pkg.scryptROMix(new Uint32Array(32), 1024, { limits: { maxN: 512 } })).to.throw(_pkg.ScryptParameterError).with.property('code', 'ERR_SCRYPT_LIMIT')
+    })
+  })
+})
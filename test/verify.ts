@@ -0,0 +1,24 @@
+import vectors from '../test-vectors/phc'
+
+describe('testing verify', function () {
+  this.timeout(360000)
+  for (const vector of vectors) {
+    describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, phc=${vector.input.phc}`, function () {
+      if (vector.error !== undefined) {
+        it(`should be rejected because of ${vector.error.toString()}`, async function () {
+          try {
+            await _pkg.verify(vector.input.phc, vector.input.password)
+            throw new Error('should have failed')
+          } catch (err) {
+            chai.expect(err).to.be.instanceOf(vector.error)
+          }
+        })
+      } else {
+        it(`should return ${String(vector.output)}`, async function () {
+          const ret = await _pkg.verify(vector.input.phc, vector.input.password)
+          chai.expect(ret).to.equal(vector.output)
+        })
+      }
+    })
+  }
+})
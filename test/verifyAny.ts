@@ -0,0 +1,148 @@
+import phcVectors from '../test-vectors/phc'
+import libsodiumVectors from '../test-vectors/libsodium'
+import djangoVectors from '../test-vectors/django'
+import werkzeugVectors from '../test-vectors/werkzeug'
+import passlibVectors from '../test-vectors/passlib'
+import cisco9Vectors from '../test-vectors/cisco9'
+
+const vectors = [
+  // PHC strings with a 32-byte hash are valid passlib hashes, which are detected first
+  ...phcVectors.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.phc, output: v.output, error: v.error, format: (v.input.phc.split('$')[4].length === 43) ? 'passlib' : 'phc' })),
+  ...libsodiumVectors.verify.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.str, output: v.output, error: v.error, format: 'libsodium' })),
+  ...djangoVectors.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.encoded, output: v.output, error: v.error, format: 'django' })),
+  ...werkzeugVectors.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.encoded, output: v.output, error: v.error, format: 'werkzeug' })),
+  ...passlibVectors.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.encoded, output: v.output, error: v.error, format: 'passlib' })),
+  ...cisco9Vectors.map(v => ({ comment: v.comment, password: v.input.password, encoded: v.input.encoded, output: v.output, error: v.error, format: 'cisco9' }))
+].filter(v => v.error === undefined && typeof v.password === 'string')
+
+describe('testing verifyAny', function () {
+  this.timeout(360000)
+  for (const vector of vectors) {
+    describe(`${vector.format}: ${vector.comment} : password=${JSON.stringify(vector.password)}, encoded=${vector.encoded}`, function () {
+      it(`should detect ${vector.format} and return valid=${String(vector.output)}`, async function () {
+        const ret = await _pkg.verifyAny(vector.encoded, vector.password)
+        chai.expect(ret.valid).to.equal(vector.output)
+        chai.expect(ret.format).to.equal(vector.format)
+        chai.expect(ret.needsRehash).to.be.a('boolean')
+      })
+    })
+  }
+  describe('a hash in an unknown format', function () {
+    it('should be rejected because of RangeError', async function () {
+      try {
+        await _pkg.verifyAny('$2b$10$N9qo8uLOickgx2ZMRZoMyeIjZAgcfl7p92ldGxad68LJZdL17lhWy', 'password')
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+  describe('a hash with parameters exceeding the limits', function () {
+    it('should be rejected because of ScryptLimitError with the default limits (N=2^30)', async function () {
+      try {
+        await _pkg.verifyAny('$scrypt$ln=30,r=8,p=1$c2FsdA$ZGVyaXZlZGtleQ', 'password')
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(_pkg.ScryptLimitError)
+        chai.expect(err.param).to.equal('N')
+      }
+    })
+    it('should be rejected because of ScryptLimitError with limits { maxP: 16 } and p=122', async function () {
+      try {
+        await _pkg.verifyAny(libsodiumVectors.verify[4].input.str, libsodiumVectors.verify[4].input.password, { limits: { maxP: 16 } })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(_pkg.ScryptLimitError)
+        chai.expect(err.param).to.equal('p')
+      }
+    })
+    it('should be rejected because of ScryptLimitError with limits { maxMemory: 1048576 } and N=16384, r=8', async function () {
+      try {
+        await _pkg.verifyAny(djangoVectors[0].input.encoded, djangoVectors[0].input.password, { limits: { maxMemory: 1048576 } })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(_pkg.ScryptLimitError)
+        chai.expect(err.param).to.equal('memory')
+      }
+    })
+  })
+  describe('a passlib hash with passlib\'s defaults (N=65536, r=8, p=1)', function () {
+    it('should be detected as passlib and not need a rehash', async function () {
+      const ret = await _pkg.verifyAny(passlibVectors[0].input.encoded, passlibVectors[0].input.password)
+      chai.expect(ret).to.eql({ valid: true, format: 'passlib', needsRehash: false })
+    })
+  })
+  describe('a password given as its UTF-8 encoding', function () {
+    it('should be verified as the unicode string', async function () {
+      const password = new TextEncoder().encode(djangoVectors[0].input.password)
+      const ret = await _pkg.verifyAny(djangoVectors[0].input.encoded, password)
+      chai.expect(ret).to.eql({ valid: true, format: 'django', needsRehash: false })
+    })
+  })
+  describe('a PHC string created by hash() with its defaults', function () {
+    it('should be detected as passlib and not need a rehash, as with needsRehash()', async function () {
+      const phc = await _pkg.hash('password')
+      chai.expect(_pkg.needsRehash(phc)).to.equal(false)
+      const ret = await _pkg.verifyAny(phc, 'password')
+      chai.expect(ret).to.eql({ valid: true, format: 'passlib', needsRehash: false })
+    })
+  })
+  describe('options.rehashPolicies', function () {
+    it('should check PHC strings created by hash() with the \'phc\' policy, as needsRehash() does', async function () {
+      const phc = await _pkg.hash('password', { scryptParams: 'interactive' })
+      for (const preset of ['interactive', 'sensitive'] as const) {
+        const ret = await _pkg.verifyAny(phc, 'password', { rehashPolicies: { phc: preset } })
+        chai.expect(ret.needsRehash).to.equal(_pkg.needsRehash(phc, preset))
+      }
+      chai.expect((await _pkg.verifyAny(phc, 'password', { rehashPolicies: { phc: 'sensitive' } })).needsRehash).to.equal(true)
+    })
+    it('should check a PHC string with a 64-byte hash with the \'phc\' policy', async function () {
+      const policy = { N: 16384, r: 8, p: 1, saltLength: 14, dkLen: 64 }
+      const ret = await _pkg.verifyAny(phcVectors[1].input.phc, phcVectors[1].input.password, { rehashPolicies: { phc: policy } })
+      chai.expect(ret).to.eql({ valid: true, format: 'phc', needsRehash: false })
+    })
+    it('should pass the policy of other formats to their needsRehash()', async function () {
+      const ret = await _pkg.verifyAny(djangoVectors[0].input.encoded, djangoVectors[0].input.password, { rehashPolicies: { django: { N: 32768 } } })
+      chai.expect(ret).to.eql({ valid: true, format: 'django', needsRehash: true })
+    })
+    it('should be rejected because of RangeError if a policy is the name of an unknown preset', async function () {
+      try {
+        await _pkg.verifyAny(djangoVectors[0].input.encoded, djangoVectors[0].input.password, { rehashPolicies: { django: 'fast' as any } })
+        throw new Error('should have failed')
+      } catch (err) {
+        chai.expect(err).to.be.instanceOf(RangeError)
+      }
+    })
+  })
+  describe('a passlib hash with parameters weaker than passlib\'s defaults (N=16384)', function () {
+    it('should need a rehash', async function () {
+      const ret = await _pkg.verifyAny(passlibVectors[1].input.encoded, passlibVectors[1].input.password)
+      chai.expect(ret).to.eql({ valid: true, format: 'passlib', needsRehash: true })
+    })
+  })
+  describe('a PHC string with a 64-byte hash', function () {
+    it('should be detected as phc, since passlib only accepts 32-byte checksums', async function () {
+      const ret = await _pkg.verifyAny(phcVectors[1].input.phc, phcVectors[1].input.password)
+      chai.expect(ret.format).to.equal('phc')
+    })
+  })
+  describe('a registered custom format', function () {
+    const encoded = 'hex$' + werkzeugVectors[0].input.encoded.split('$').slice(1).join('$')
+    before(function () {
+      _pkg.registerFormat({
+        name: 'hex',
+        detect: (encoded: string) => encoded.startsWith('hex$'),
+        params: () => ({ N: 32768, r: 8, p: 1 }),
+        verify: async (encoded: string, password: any, options: any) => await _pkg.werkzeugScrypt.verify(encoded.replace('hex', 'scrypt:32768:8:1'), password, options),
+        needsRehash: () => true
+      })
+    })
+    after(function () {
+      _pkg.unregisterFormat('hex')
+    })
+    it('should be detected and verified', async function () {
+      const ret = await _pkg.verifyAny(encoded, werkzeugVectors[0].input.password)
+      chai.expect(ret).to.eql({ valid: true, format: 'hex', needsRehash: true })
+    })
+  })
+})
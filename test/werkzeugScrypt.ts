@@ -0,0 +1,55 @@
+import vectors from '../test-vectors/werkzeug'
+
+describe('testing werkzeugScrypt', function () {
+  this.timeout(360000)
+  describe('werkzeugScrypt.verify()', function () {
+    for (const vector of vectors) {
+      describe(`${vector.comment} : password=${JSON.stringify(vector.input.password)}, encoded=${vector.input.encoded}`, function () {
+        if (vector.error !== undefined) {
+          it(`should be rejected because of ${vector.error.toString()}`, async function () {
+            try {
+              await _pkg.werkzeugScrypt.verify(vector.input.encoded, vector.input.password)
+              throw new Error('should have failed')
+            } catch (err) {
+              chai.expect(err).to.be.instanceOf(vector.error)
+            }
+          })
+        } else {
+          it(`should return ${String(vector.output)}`, async function () {
+            const ret = await _pkg.werkzeugScrypt.verify(vector.input.encoded, vector.input.password)
+            chai.expect(ret).to.equal(vector.output)
+          })
+        }
+      })
+    }
+  })
+  describe('werkzeugScrypt.hash() with the salt and parameters of Werkzeug hashes', function () {
+    for (const vector of vectors) {
+      if (vector.output !== true || !vector.input.encoded.startsWith('scrypt:')) continue
+      const [method, salt] = vector.input.encoded.split('$')
+      const [N, r, p] = method.split(':').slice(1).map(Number)
+      it(`should return ${vector.input.encoded}`, async function () {
+        const encoded = await _pkg.werkzeugScrypt.hash(vector.input.password, { salt, scryptParams: { N, r, p } })
+        chai.expect(encoded).to.equal(vector.input.encoded)
+      })
+    }
+  })
+  describe('werkzeugScrypt.hash()', function () {
+    let encoded: string
+    before(async function () {
+      encoded = await _pkg.werkzeugScrypt.hash('password')
+    })
+    it('should use Werkzeug defaults and a random 16-character salt', function () {
+      chai.expect(encoded).to.match(/^scrypt:32768:8:1\$[A-Za-z0-9]{16}\$[0-9a-f]{128}$/)
+    })
+    it('should be verified with the same password', async function () {
+      chai.expect(await _pkg.werkzeugScrypt.verify(encoded, 'password')).to.equal(true)
+    })
+    it('should not need a rehash with Werkzeug defaults', function () {
+      chai.expect(_pkg.werkzeugScrypt.needsRehash(encoded)).to.equal(false)
+    })
+    it('should need a rehash with r=16', function () {
+      chai.expect(_pkg.werkzeugScrypt.needsRehash(encoded, { r: 16 })).to.equal(true)
+    })
+  })
+})